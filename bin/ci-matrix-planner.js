@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+// bin/ci-matrix-planner.js
+// Local command-line planner — preview a plan without pushing.
+//
+// Uses the same harvesting (extractContextFromPayload / harvestDirectiveContext)
+// and planning (computePlan) as the action, with the GitHub API turned off:
+// directives come from --message, --event and, with --git-log, `git log -1`.
+
+const path = require("path");
+const { parseArgs } = require("util");
+const {
+  buildPlanOutputs,
+  collectChangedFiles,
+  computePlan,
+  formatConfigError,
+  formatTraceStep,
+  getRefName,
+  harvestDirectiveContext,
+  loadConfig,
+  parseFailOn,
+  readEventPayload,
+  resolveConfigPath,
+  resolveHarvestSettings,
+  resolveProfileExtends,
+  selectFailingWarnings,
+  validateConfig,
+} = require("../index.js");
+
+const USAGE = `Usage: ci-matrix-planner plan [options]
+
+Options:
+  --config <path>         Config file, .json/.jsonc/.yml/.yaml (default: .github/plan-ci.json,
+                          then .github/plan-ci.{yml,yaml,jsonc})
+  --profile <name>        Profile to resolve
+  --message <text>        Directive message, one key=value per line (e.g. "only=feelpp")
+  --labels <list>         Comma-separated labels (e.g. ci-mode-full)
+  --mode <mode>           Mode override (components|full)
+  --event <path>          Event payload JSON (as in GITHUB_EVENT_PATH)
+  --ref <name>            Ref name used for branch defaults (e.g. develop)
+  --changed-files <list>  Comma or newline separated changed files for pathRules
+  --git-log               Fall back to directives from \`git log -1\`
+  --format <format>       json (default), table or github-output
+  --fail-on <list>        Exit 1 on warnings with these codes or severities (e.g. UNKNOWN_TARGET, error)
+  -h, --help              Show this help
+`;
+
+const FORMATS = new Set(["json", "table", "github-output"]);
+
+/* =========================
+ * Formatting
+ * ========================= */
+
+function formatJson(plan, outputs) {
+  return JSON.stringify({
+    profile: plan.profile,
+    mode: plan.mode,
+    enabledJobs: plan.enabledJobs,
+    onlyJobs: JSON.parse(plan.onlyJobsJson),
+    skipJobs: JSON.parse(plan.skipJobsJson),
+    targets: JSON.parse(plan.targetsJson),
+    matrix: JSON.parse(plan.matrixJson),
+    matrixByJob: JSON.parse(plan.matrixByJobJson),
+    matrixShards: JSON.parse(plan.matrixShardsJson),
+    axes: JSON.parse(plan.axesJson),
+    enabledProfiles: plan.enabledProfiles,
+    pkgEnabled: plan.pkgEnabled,
+    pkgTargets: plan.pkgTargets,
+    pkgMatrix: JSON.parse(plan.pkgMatrixJson),
+    matchedRules: plan.matchedRules,
+    trace: plan.trace || [],
+    warnings: plan.warnings,
+    warningDetails: plan.warningDetails,
+    directiveSource: outputs.directive_source,
+    directiveSources: JSON.parse(outputs.directive_sources_json),
+    directives: plan.debug?.directives || {},
+    labels: plan.debug?.labels || [],
+  }, null, 2);
+}
+
+function formatRows(rows) {
+  if (!rows.length) return "";
+  const columns = [];
+  for (const row of rows) {
+    for (const key of Object.keys(row)) {
+      if (!columns.includes(key)) columns.push(key);
+    }
+  }
+  const cells = rows.map((row) => columns.map((key) => (row[key] === undefined ? "" : String(row[key]))));
+  const widths = columns.map((key, index) => Math.max(key.length, ...cells.map((line) => line[index].length)));
+  const render = (line) => line.map((cell, index) => cell.padEnd(widths[index])).join("  ").trimEnd();
+  return [
+    render(columns),
+    render(widths.map((width) => "-".repeat(width))),
+    ...cells.map(render),
+  ].join("\n");
+}
+
+function formatTable(plan, outputs) {
+  const summary = [
+    ["profile", plan.profile],
+    ["mode", plan.mode],
+    ["enabled jobs", plan.enabledJobs.join(" ") || "<none>"],
+    ["only jobs", plan.onlyJobs || "<empty>"],
+    ["skip jobs", plan.skipJobs || "<empty>"],
+    ["targets", plan.targetsList || "<none>"],
+    ["enabled profiles", plan.enabledProfiles.join(" ")],
+    ["packaging", plan.pkgEnabled ? plan.pkgTargets.join(" ") : "<disabled>"],
+    ["matched rules", plan.matchedRules.join(" ") || "<none>"],
+    ["directive source", outputs.directive_source],
+    ["directives", outputs.raw_directives],
+  ];
+  const width = Math.max(...summary.map(([key]) => key.length));
+  const lines = summary.map(([key, value]) => `${key.padEnd(width)}  ${value}`);
+
+  const matrix = JSON.parse(plan.matrixJson);
+  const rows = matrix.include || (matrix.target || []).map((target) => ({ target }));
+  if (rows.length) {
+    lines.push("", formatRows(rows));
+  }
+  if (plan.trace?.length) {
+    lines.push("", "trace:", ...plan.trace.map((step) => `  ${formatTraceStep(step)}`));
+  }
+  for (const warning of plan.warningDetails) {
+    lines.push(`warning: ${warning.code}: ${warning.message}`);
+  }
+  return lines.join("\n");
+}
+
+// key=value lines as written to $GITHUB_OUTPUT (heredoc form for multi-line values)
+function formatGithubOutput(outputs) {
+  return Object.entries(outputs)
+    .map(([name, value]) => {
+      const text = String(value);
+      if (!text.includes("\n")) return `${name}=${text}`;
+      let delimiter = "EOF";
+      while (text.includes(delimiter)) delimiter += "_";
+      return `${name}<<${delimiter}\n${text}\n${delimiter}`;
+    })
+    .join("\n");
+}
+
+/* =========================
+ * Commands
+ * ========================= */
+
+async function plan(options, { cwd, stdout, stderr }) {
+  const format = String(options.format || "json").toLowerCase();
+  if (!FORMATS.has(format)) {
+    throw new Error(`Unsupported format "${format}" (expected json, table or github-output)`);
+  }
+  const failOn = parseFailOn(options["fail-on"] || "");
+
+  const configPath = resolveConfigPath(options.config, cwd);
+  let config = {};
+  try {
+    config = await loadConfig(configPath, cwd);
+  } catch (e) {
+    stderr.write(`warning: Could not load config ${configPath}; using defaults. (${e.message})\n`);
+  }
+  for (const error of validateConfig(resolveProfileExtends(config, []))) {
+    stderr.write(`warning: Invalid config ${configPath}: ${formatConfigError(error)}\n`);
+  }
+
+  const eventPath = options.event ? path.resolve(cwd, options.event) : "";
+  const payload = readEventPayload(eventPath);
+  const warn = (message) => stderr.write(`warning: ${message}\n`);
+  const { message, source, headSha, labels, modeInput, keySources, labelsMapped, warnings } = await harvestDirectiveContext({
+    token: "",
+    owner: "",
+    repo: "",
+    eventPath,
+    payload,
+    sha: "",
+    explicitInputs: {
+      modeInput: options.mode || "",
+      messageOverride: options.message || "",
+      labelsOverride: options.labels || "",
+    },
+    coreImpl: { warning: warn },
+    cwd,
+    useGitLog: !!options["git-log"],
+    ...resolveHarvestSettings(config, options.profile || ""),
+  });
+  const changed = await collectChangedFiles({
+    token: "",
+    payload,
+    changedFilesOverride: options["changed-files"] || "",
+    cwd,
+    coreImpl: { warning: warn },
+  });
+
+  const result = computePlan({
+    config,
+    message,
+    labels,
+    profile: options.profile || "",
+    inputs: { modeInput },
+    context: { refName: options.ref || getRefName(payload), changedFiles: changed.files },
+    mapLabels: !labelsMapped,
+    keySources,
+    harvestWarnings: warnings,
+  });
+  if (result.matrixLimit.exceeded && result.matrixLimit.onExceed === "error") {
+    throw new Error(result.matrixLimit.message);
+  }
+  const outputs = buildPlanOutputs({ plan: result, message, source, headSha, changed, keySources });
+
+  if (format === "table") stdout.write(`${formatTable(result, outputs)}\n`);
+  else if (format === "github-output") stdout.write(`${formatGithubOutput(outputs)}\n`);
+  else stdout.write(`${formatJson(result, outputs)}\n`);
+
+  const failing = selectFailingWarnings(result.warningDetails, failOn);
+  if (failing.length) {
+    throw new Error(`Planner warnings matched --fail-on: ${failing.map((warning) => warning.code).join(", ")}`);
+  }
+}
+
+async function main(argv = process.argv.slice(2), io = {}) {
+  const stdout = io.stdout || process.stdout;
+  const stderr = io.stderr || process.stderr;
+  const cwd = io.cwd || process.cwd();
+
+  let parsed;
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        config: { type: "string" },
+        profile: { type: "string" },
+        message: { type: "string" },
+        labels: { type: "string" },
+        mode: { type: "string" },
+        event: { type: "string" },
+        ref: { type: "string" },
+        "changed-files": { type: "string" },
+        "git-log": { type: "boolean" },
+        format: { type: "string" },
+        "fail-on": { type: "string" },
+        help: { type: "boolean", short: "h" },
+      },
+    });
+  } catch (e) {
+    stderr.write(`${e.message}\n\n${USAGE}`);
+    return 2;
+  }
+
+  const [command] = parsed.positionals;
+  if (parsed.values.help || !command) {
+    (parsed.values.help ? stdout : stderr).write(USAGE);
+    return parsed.values.help ? 0 : 2;
+  }
+  if (command !== "plan") {
+    stderr.write(`Unknown command "${command}"\n\n${USAGE}`);
+    return 2;
+  }
+
+  try {
+    await plan(parsed.values, { cwd, stdout, stderr });
+    return 0;
+  } catch (e) {
+    stderr.write(`error: ${e instanceof Error ? e.message : String(e)}\n`);
+    return 1;
+  }
+}
+
+if (require.main === module) {
+  main().then((code) => { process.exitCode = code; });
+}
+
+module.exports = { main, formatGithubOutput };
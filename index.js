@@ -1,31 +1,60 @@
 // index.js
-// CI Matrix Planner — parse key=value directives from the *latest commit only*
+// CI Matrix Planner — parse key=value directives (plus trailers, [ci ...] and
+// /ci commands) from the inputs, labels, the PR and its commits
 //
-// Precedence (highest → lowest):
-//  1) message-override (input)
-//  2) PR head commit (context.payload.pull_request.head.sha via API)
-//  3) push head commit (GITHUB_SHA via API)
-//  4) git log -1 (if checkout exists)
+// Sources (highest → lowest, see "Harvest directives and labels"):
+//  1) message-override and workflow_dispatch inputs, /ci comments, labels
+//  2) PR title/body, push head commit payload
+//  3) PR or push head commit via API, or every commit of the PR / pushed range
+//     (directiveSources.commits "all", combined by commitPolicy)
+//  4) git log -1 or git log base..head (if checkout exists)
+// The first source with a directive wins; directiveSources.strategy "merge"
+// resolves each key from its own highest source instead.
 // If no directives found → computePlan() falls back to plan-ci.json defaults.
 
 const fs = require("fs");
 const path = require("path");
 const https = require("https");
-const { execSync } = require("child_process");
+const { execFileSync, execSync } = require("child_process");
 const core = require("@actions/core");
+const YAML = require("yaml");
+const CONFIG_SCHEMA = require("./schema/plan-ci.schema.json");
 
 /* =========================
  * Small helpers
  * ========================= */
 
 const env = (k, d = "") => process.env[k] || d;
-const SUPPORTED_CI_MODES = new Set(["components", "full"]);
 const DEFAULT_JOBS = ["feelpp", "testsuite", "toolboxes", "mor"];
 const DEFAULT_TARGETS = ["ubuntu:24.04", "ubuntu:22.04", "debian:13", "debian:12", "fedora:42"];
 const DEFAULT_PROFILE = "ci";
 const PACKAGING_PROFILE = "packaging";
 const PACKAGING_MODE = "packaging";
 const DEFAULT_PKG_JOB = "packaging";
+const PATH_RULE_FALLBACKS = new Set(["all", "none"]);
+const CONFIG_VALIDATION_LEVELS = new Set(["off", "warn", "error"]);
+const GITHUB_MATRIX_LIMIT = 256;
+const MATRIX_LIMIT_ACTIONS = new Set(["warn", "error", "shard"]);
+// built-in directive keys; an axis with one of these names needs axis.<name>=
+const DIRECTIVE_KEYS = new Set([
+  "mode",
+  "only",
+  "skip",
+  "targets",
+  "include",
+  "exclude",
+  "pkg",
+  "pkg-targets",
+  "pkg-include",
+  "pkg-exclude",
+]);
+const DEFAULT_CONFIG_PATH = ".github/plan-ci.json";
+const DEFAULT_CONFIG_CANDIDATES = [
+  ".github/plan-ci.json",
+  ".github/plan-ci.yml",
+  ".github/plan-ci.yaml",
+  ".github/plan-ci.jsonc",
+];
 
 function httpGetJson(url, token) {
   return new Promise((resolve, reject) => {
@@ -57,9 +86,66 @@ function httpGetJson(url, token) {
   });
 }
 
-// strict detector: key=value at start of a line (multiline)
-const hasDirective = (txt) =>
-  /^\s*[A-Za-z_][A-Za-z0-9_-]*\s*=/m.test(txt || "");
+const DEFAULT_TRAILER_PREFIXES = ["CI-"];
+const BRACKET_DIRECTIVE_RE = /\[(ci|pkg)\s+([^\]\n]*)\]/gi;
+const BRACKET_SHORTHANDS = {
+  ci: { full: "mode=full", components: "mode=components", skip: "skip=all" },
+  pkg: {},
+};
+
+// Index of the first line of the trailer block, lines.length when there is none.
+// Like git, only the last paragraph counts, and only when every line of it is a
+// "Token: value" trailer (or an indented continuation line).
+function findTrailerBlockStart(lines) {
+  let end = lines.length;
+  while (end > 0 && !lines[end - 1].trim()) end--;
+  let start = end;
+  while (start > 0 && lines[start - 1].trim()) start--;
+  const block = lines.slice(start, end);
+  const isTrailer = (line, index) => /^[A-Za-z][A-Za-z0-9_.-]*\s*:\s*\S/.test(line) || (index > 0 && /^\s/.test(line));
+  return block.length && block.every(isTrailer) ? start : lines.length;
+}
+
+// git trailer "<prefix><Key>: value" → directive key (CI-Only: feelpp → only)
+function matchDirectiveTrailer(line, trailerPrefixes = DEFAULT_TRAILER_PREFIXES) {
+  const m = String(line).match(/^\s*([A-Za-z][A-Za-z0-9_.-]*)\s*:\s*(.+?)\s*$/);
+  if (!m) return null;
+  const token = m[1].toLowerCase();
+  for (const prefix of trailerPrefixes || []) {
+    const lowered = String(prefix).toLowerCase();
+    if (lowered && token.length > lowered.length && token.startsWith(lowered)) {
+      return { key: token.slice(lowered.length), value: m[2].trim() };
+    }
+  }
+  return null;
+}
+
+// inline "[ci only=feelpp targets=fedora:42]", "[ci full]" or "[pkg all]" → key=value lines
+function expandBracketDirectives(text) {
+  const lines = [];
+  const unknown = [];
+  for (const [, scope, body] of String(text || "").matchAll(BRACKET_DIRECTIVE_RE)) {
+    const kind = scope.toLowerCase();
+    for (const token of body.split(/\s+/).filter(Boolean)) {
+      const shorthands = BRACKET_SHORTHANDS[kind];
+      const shorthand = Object.hasOwn(shorthands, token.toLowerCase()) ? shorthands[token.toLowerCase()] : null;
+      if (/^[A-Za-z_][A-Za-z0-9_.-]*=\S/.test(token)) lines.push(token);
+      else if (shorthand) lines.push(shorthand);
+      else if (kind === "pkg") lines.push(`pkg=${token}`);
+      else unknown.push(token);
+    }
+  }
+  return { lines, unknown };
+}
+
+// strict detector: key=value at start of a line, a directive trailer in the
+// trailer block, or an inline [ci ...] / [pkg ...] directive anywhere (multiline)
+const hasDirective = (txt, trailerPrefixes) => {
+  const lines = String(txt || "").split(/\r?\n/);
+  return /^\s*[A-Za-z_][A-Za-z0-9_.-]*\s*=/m.test(txt || "") ||
+    lines.slice(findTrailerBlockStart(lines)).some((ln) => matchDirectiveTrailer(ln, trailerPrefixes)) ||
+    expandBracketDirectives(txt).lines.length > 0;
+};
 
 // split list on commas and/or whitespace; trim; drop empties
 function normalizeList(raw) {
@@ -84,7 +170,7 @@ function uniqueList(list) {
 }
 
 // accept only simple key=value lines (ignore bullets, Markdown, etc.)
-function parseDirectives(msg) {
+function parseDirectives(msg, trailerPrefixes) {
   const out = {};
   const mergeKeys = new Set([
     "only",
@@ -97,21 +183,48 @@ function parseDirectives(msg) {
     "pkg-include",
     "pkg-exclude",
   ]);
-  if (!msg) return out;
-  for (const ln of String(msg).split(/\r?\n/)) {
-    const m = ln.match(/^\s*([A-Za-z_][A-Za-z0-9_-]*)\s*=\s*(.+?)\s*$/);
-    if (!m) continue;
-    const key = m[1].toLowerCase();
-    const value = m[2].trim();
-    if (mergeKeys.has(key) && out[key]) {
+  const add = ({ key, value }) => {
+    if ((mergeKeys.has(key) || key.startsWith("axis.")) && out[key]) {
       out[key] = `${out[key]} ${value}`;
     } else {
       out[key] = value;
     }
-  }
+  };
+  if (!msg) return out;
+  const lines = String(msg).split(/\r?\n/);
+  const trailerStart = findTrailerBlockStart(lines);
+  lines.forEach((raw, index) => {
+    for (const inline of expandBracketDirectives(raw).lines) {
+      const equals = inline.indexOf("=");
+      add({ key: inline.slice(0, equals).toLowerCase(), value: inline.slice(equals + 1).trim() });
+    }
+    const ln = raw.replace(BRACKET_DIRECTIVE_RE, "");
+    const m = ln.match(/^\s*([A-Za-z_][A-Za-z0-9_.-]*)\s*=\s*(.+?)\s*$/);
+    const trailer = index >= trailerStart ? matchDirectiveTrailer(ln, trailerPrefixes) : null;
+    const directive = m ? { key: m[1].toLowerCase(), value: m[2].trim() } : trailer;
+    if (directive) add(directive);
+  });
   return out;
 }
 
+// only=/skip= tokens: job names, targets (contain ":") and job@target pairs
+function splitJobTargetTokens(raw) {
+  const jobs = [];
+  const targets = [];
+  const pairs = [];
+  for (const token of normalizeList(raw)) {
+    const at = token.indexOf("@");
+    if (at > 0 && at < token.length - 1) {
+      pairs.push({ job: token.slice(0, at).toLowerCase(), target: token.slice(at + 1).toLowerCase() });
+    } else if (token.includes(":")) {
+      targets.push(token);
+    } else {
+      jobs.push(token);
+    }
+  }
+  return { jobs, targets, pairs };
+}
+
 function lowerUnique(list) {
   const seen = new Set();
   const out = [];
@@ -159,7 +272,36 @@ function extractDispatchOverridesFromPayload(payload) {
   };
 }
 
-function extractContextFromPayload(payload, explicitInputs = {}) {
+// "/ci mode=full include=debian:13" in an issue_comment on a pull request;
+// the rest of the command line reads like an inline [ci ...] directive
+function extractSlashCommand(payload, slashCommands = {}) {
+  const comment = payload?.comment;
+  if (!comment || !payload?.issue?.pull_request || payload.action === "deleted") return null;
+  const prefix = String(slashCommands.prefix || DEFAULT_SLASH_COMMAND_PREFIX).toLowerCase();
+  const [first = "", ...rest] = String(comment.body || "").trim().split(/\r?\n/);
+  const head = first.trim();
+  if (!head.toLowerCase().startsWith(prefix) || /\S/.test(head.charAt(prefix.length))) return null;
+  const args = head.slice(prefix.length).trim();
+  const association = String(comment.author_association || "NONE").toUpperCase();
+  const allowed = lowerUnique(slashCommands.allow || DEFAULT_SLASH_COMMAND_ASSOCIATIONS)
+    .includes(association.toLowerCase());
+  return {
+    message: [args ? `[ci ${args}]` : "", ...rest].join("\n").trim(),
+    author: comment.user?.login || "",
+    association,
+    allowed,
+    prefix,
+  };
+}
+
+// title and body joined by a blank line, like a commit subject and body, so a
+// body made of trailers alone is still read as the trailer block
+function pullRequestMessage(payload) {
+  return [payload?.pull_request?.title, payload?.pull_request?.body].filter(Boolean).join("\n\n").trim();
+}
+
+function extractContextFromPayload(payload, explicitInputs = {}, options = {}) {
+  const { trailerPrefixes, slashCommands } = options;
   const dispatch = extractDispatchOverridesFromPayload(payload);
   const explicitLabels = lowerUnique(normalizeList(explicitInputs.labelsOverride || ""));
   const labels = explicitLabels.length
@@ -169,64 +311,40 @@ function extractContextFromPayload(payload, explicitInputs = {}) {
   const explicitMessage = String(explicitInputs.messageOverride || "").trim();
   const prHeadSha = payload?.pull_request?.head?.sha || "";
   const pushHeadSha = payload?.after || payload?.head_commit?.id || "";
+  const warnings = [];
+  const base = { labels, modeInput, prHeadSha, pushHeadSha, warnings };
 
-  if (hasDirective(explicitMessage)) {
-    return {
-      labels,
-      modeInput,
-      message: explicitMessage,
-      source: "override",
-      prHeadSha,
-      pushHeadSha,
-    };
+  if (hasDirective(explicitMessage, trailerPrefixes)) {
+    return { ...base, message: explicitMessage, source: "override" };
   }
 
-  if (hasDirective(dispatch.messageOverride)) {
-    return {
-      labels,
-      modeInput,
-      message: dispatch.messageOverride,
-      source: "workflow-dispatch-input",
-      prHeadSha,
-      pushHeadSha,
-    };
+  if (hasDirective(dispatch.messageOverride, trailerPrefixes)) {
+    return { ...base, message: dispatch.messageOverride, source: "workflow-dispatch-input" };
   }
 
-  const prTitleBody = [payload?.pull_request?.title, payload?.pull_request?.body]
-    .filter(Boolean)
-    .join("\n")
-    .trim();
-  if (hasDirective(prTitleBody)) {
-    return {
-      labels,
-      modeInput,
-      message: prTitleBody,
-      source: "pr-title-body",
-      prHeadSha,
-      pushHeadSha,
-    };
+  const command = extractSlashCommand(payload, slashCommands);
+  if (command && !command.allowed) {
+    pushWarning(
+      warnings,
+      "SLASH_COMMAND_DENIED",
+      `Ignoring ${command.prefix} command from ${command.author || "unknown user"}: author association ${command.association} is not allowed (slashCommands.allow)`,
+      { source: "slashCommands.allow", tokens: [command.association] }
+    );
+  } else if (command && hasDirective(command.message, trailerPrefixes)) {
+    return { ...base, message: command.message, source: "issue-comment" };
+  }
+
+  const prTitleBody = pullRequestMessage(payload);
+  if (hasDirective(prTitleBody, trailerPrefixes)) {
+    return { ...base, message: prTitleBody, source: "pr-title-body" };
   }
 
   const pushMessage = String(payload?.head_commit?.message || "").trim();
-  if (hasDirective(pushMessage)) {
-    return {
-      labels,
-      modeInput,
-      message: pushMessage,
-      source: "push-head-commit-payload",
-      prHeadSha,
-      pushHeadSha,
-    };
+  if (hasDirective(pushMessage, trailerPrefixes)) {
+    return { ...base, message: pushMessage, source: "push-head-commit-payload" };
   }
 
-  return {
-    labels,
-    modeInput,
-    message: "",
-    source: "payload-none",
-    prHeadSha,
-    pushHeadSha,
-  };
+  return { ...base, message: "", source: "payload-none" };
 }
 
 function filterKnownTokens(tokens, knownSet) {
@@ -243,6 +361,49 @@ function filterKnownTokens(tokens, knownSet) {
   };
 }
 
+// optimal string alignment distance: Levenshtein plus adjacent transpositions
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return rows[a.length][b.length];
+}
+
+// closest candidate within a third of the token length (at least one edit), or ""
+function suggestToken(token, candidates) {
+  const lower = String(token).toLowerCase();
+  let best = "";
+  let bestDistance = Math.max(1, Math.floor(lower.length / 3)) + 1;
+  for (const candidate of candidates || []) {
+    const distance = editDistance(lower, String(candidate).toLowerCase());
+    if (distance > 0 && distance < bestDistance) {
+      best = String(candidate);
+      bestDistance = distance;
+    }
+  }
+  return best;
+}
+
+// "fedroa:42 (did you mean fedora:42?), foo" and { "fedroa:42": "fedora:42" }
+function describeUnknownTokens(unknown, candidates) {
+  const suggestions = {};
+  const text = unknown.map((token) => {
+    const suggestion = suggestToken(token, candidates);
+    if (!suggestion) return token;
+    suggestions[token] = suggestion;
+    return `${token} (did you mean ${suggestion}?)`;
+  }).join(", ");
+  return { text, suggestions };
+}
+
 function globToRegExp(pattern) {
   let regex = "^";
   for (let i = 0; i < pattern.length; i++) {
@@ -267,16 +428,20 @@ function matchesAnyPattern(file, patterns) {
   return (patterns || []).some((pattern) => globToRegExp(String(pattern)).test(file));
 }
 
+// rule scope: profile/profiles restrict where a rule applies
 function normalizeRuleProfiles(rule) {
   return lowerUnique(
     []
-      .concat(rule?.enableProfiles || [])
       .concat(rule?.profiles || [])
       .concat(rule?.profile || [])
       .filter(Boolean)
   );
 }
 
+function normalizeRuleEnabledProfiles(rule) {
+  return lowerUnique([].concat(rule?.enableProfiles || []).filter(Boolean));
+}
+
 function resolveRuleTargets(rule, profile) {
   if (Array.isArray(rule?.targets)) return rule.targets;
   if (Array.isArray(rule?.defaultTargets)) return rule.defaultTargets;
@@ -285,21 +450,79 @@ function resolveRuleTargets(rule, profile) {
   return [];
 }
 
-function collectRuleDefaultTargets(pathRules, changedFiles, profile) {
+function describePathRule(rule, index) {
+  return String(rule?.name || rule?.id || `pathRules[${index}]`);
+}
+
+function matchesPathRule(rule, changedFiles) {
+  const patterns = rule?.patterns || [];
+  if (String(rule?.match || "any").toLowerCase() === "all") {
+    return changedFiles.length > 0 && changedFiles.every((file) => matchesAnyPattern(file, patterns));
+  }
+  return matchesAnyPatternList(changedFiles, patterns);
+}
+
+// Rules are evaluated in order; targets, jobs, skipJobs and profiles of all
+// matched rules are merged, the first matched rule with a mode wins, and a
+// matched rule with stop=true ends the evaluation. Jobs and skipJobs only
+// narrow the plan when the matched rules cover every changed file, and targets
+// only replace the defaults then (otherwise they add to them); a matched stop
+// rule claims the files left over.
+function evaluatePathRules(pathRules, changedFiles, profile, fallback = "all") {
   const matchedRules = [];
+  const coveredFiles = new Set();
   const targets = [];
-  for (const rule of pathRules || []) {
+  const enableProfiles = [];
+  const skipJobs = [];
+  let jobs = null;
+  let mode = "";
+  const rules = pathRules || [];
+  for (let index = 0; index < rules.length; index++) {
+    const rule = rules[index];
     const ruleProfiles = normalizeRuleProfiles(rule);
     if (ruleProfiles.length && !ruleProfiles.includes(profile)) continue;
-    if (!matchesAnyPatternList(changedFiles, rule?.patterns || [])) continue;
-    matchedRules.push(rule);
+    if (!matchesPathRule(rule, changedFiles)) continue;
+    matchedRules.push(describePathRule(rule, index));
+    for (const file of changedFiles) {
+      if (matchesAnyPattern(file, rule?.patterns || [])) coveredFiles.add(file);
+    }
     for (const target of resolveRuleTargets(rule, profile)) {
       targets.push(String(target).toLowerCase());
     }
+    enableProfiles.push(...normalizeRuleEnabledProfiles(rule));
+    if (Array.isArray(rule?.jobs)) {
+      jobs = (jobs || []).concat(rule.jobs.map((item) => String(item).toLowerCase()));
+    }
+    skipJobs.push(...[].concat(rule?.skipJobs || []).map((item) => String(item).toLowerCase()));
+    if (!mode && rule?.mode) mode = String(rule.mode).toLowerCase();
+    if (rule?.stop) {
+      for (const file of changedFiles) coveredFiles.add(file);
+      break;
+    }
+  }
+
+  // nothing matched a known change set: either plan as usual or run nothing
+  const fallbackName = String(fallback || "all").toLowerCase();
+  const fallbackApplied = !matchedRules.length && changedFiles.length > 0 && rules.length > 0 && fallbackName === "none";
+  if (fallbackApplied) jobs = [];
+  // files no rule matched plan as usual (unless the fallback is "none"), so a
+  // partial match keeps the default jobs and targets
+  const partial = matchedRules.length > 0 && fallbackName !== "none" &&
+    changedFiles.some((file) => !coveredFiles.has(file));
+  if (partial) {
+    jobs = null;
+    skipJobs.length = 0;
   }
+
   return {
     matchedRules,
     targets: lowerUnique(targets),
+    enableProfiles: lowerUnique(enableProfiles),
+    jobs: jobs ? lowerUnique(jobs) : null,
+    skipJobs: lowerUnique(skipJobs),
+    mode,
+    fallbackApplied,
+    partial,
   };
 }
 
@@ -307,8 +530,9 @@ function matchesAnyPatternList(files, patterns) {
   return (files || []).some((file) => matchesAnyPattern(file, patterns));
 }
 
+// null prototype: targets come from messages, so "constructor" must not resolve
 function normalizeCatalog(catalog) {
-  const out = {};
+  const out = Object.create(null);
   for (const [key, value] of Object.entries(catalog || {})) {
     out[String(key).toLowerCase()] = value;
   }
@@ -316,31 +540,204 @@ function normalizeCatalog(catalog) {
 }
 
 function normalizeGroups(groups) {
-  const out = {};
+  const out = Object.create(null);
   for (const [key, value] of Object.entries(groups || {})) {
     out[String(key).toLowerCase()] = (value || []).map((item) => String(item).toLowerCase());
   }
   return out;
 }
 
-function expandGroupTargets(tokens, groups) {
-  const out = [];
-  for (const token of tokens || []) {
-    const normalized = String(token).toLowerCase();
-    if (groups[normalized]) {
-      out.push(...groups[normalized]);
-    } else {
-      out.push(normalized);
+// Target selectors, matched against the known targets:
+//   ubuntu:*, *:24.04   glob
+//   ~^debian:1[23]$     regular expression
+//   @image_backend=apt  catalog rows whose field has that value
+// Returns null for plain tokens and invalid regular expressions.
+function matchTargetSelector(token, { knownTargets, catalog }) {
+  if (token.startsWith("~")) {
+    let regex;
+    try {
+      regex = new RegExp(token.slice(1), "i");
+    } catch {
+      return null;
     }
+    return knownTargets.filter((target) => regex.test(target));
+  }
+  if (token.startsWith("@") && token.includes("=")) {
+    const [field, ...rest] = token.slice(1).split("=");
+    const value = rest.join("=");
+    return Object.entries(catalog || {})
+      .filter(([, row]) => isPlainObject(row) && Object.entries(row).some(([key, cell]) =>
+        key.toLowerCase() === field && ["string", "number", "boolean"].includes(typeof cell) && String(cell).toLowerCase() === value))
+      .map(([target]) => target.toLowerCase());
+  }
+  if (token.includes("*")) {
+    const regex = globToRegExp(token);
+    return knownTargets.filter((target) => regex.test(target));
+  }
+  return null;
+}
+
+// selectors that match nothing stay as typed and are reported as unknown targets
+function expandTargetSelectors(tokens, { knownTargets, catalog = {} }) {
+  const out = [];
+  for (const token of lowerUnique(tokens || [])) {
+    const matched = matchTargetSelector(token, { knownTargets, catalog });
+    out.push(...(matched?.length ? matched : [token]));
   }
   return lowerUnique(out);
 }
 
+/* =========================
+ * Config composition (extends)
+ * =========================
+ * Objects are deep-merged, scalars replace and a null value removes the key.
+ * Arrays replace the inherited array unless they contain "..." (replaced by
+ * the inherited items, e.g. ["...", "fedora:42"] appends). "!item" entries
+ * remove an item; an array of removals only keeps the inherited items.
+ */
+
+function isPlainObject(value) {
+  return !!value && typeof value === "object" && !Array.isArray(value);
+}
+
+function mergeConfigArrays(base, override) {
+  const isRemoval = (item) => typeof item === "string" && item.startsWith("!");
+  const removals = new Set(override.filter(isRemoval).map((item) => item.slice(1).toLowerCase()));
+  const onlyRemovals = override.length > 0 && removals.size > 0 && override.every(isRemoval);
+  const out = [];
+  if (onlyRemovals) out.push(...base);
+  for (const item of override) {
+    if (item === "...") out.push(...base);
+    else if (!isRemoval(item)) out.push(item);
+  }
+  return out.filter((item) => !(typeof item === "string" && removals.has(item.toLowerCase())));
+}
+
+function mergeConfigValues(base, override) {
+  if (Array.isArray(override)) {
+    return mergeConfigArrays(Array.isArray(base) ? base : [], override);
+  }
+  if (isPlainObject(override)) {
+    const out = isPlainObject(base) ? { ...base } : {};
+    for (const [key, value] of Object.entries(override)) {
+      if (value === null) delete out[key];
+      else out[key] = mergeConfigValues(out[key], value);
+    }
+    return out;
+  }
+  return override;
+}
+
+// profiles.<name>.extends: inherit from other profiles of the same config
+function resolveProfileExtends(config, warnings) {
+  const profiles = config?.profiles;
+  if (!isPlainObject(profiles) || !Object.values(profiles).some((profile) => profile?.extends !== undefined)) {
+    return config;
+  }
+
+  const keysByName = Object.fromEntries(Object.keys(profiles).map((key) => [key.toLowerCase(), key]));
+  const resolved = {};
+  const resolveProfile = (key, chain) => {
+    if (resolved[key]) return resolved[key];
+    const { extends: parents, ...own } = profiles[key] || {};
+    let base = {};
+    for (const parent of [].concat(parents || [])) {
+      const parentKey = keysByName[String(parent).toLowerCase()];
+      if (!parentKey) {
+        pushWarning(warnings, "UNKNOWN_PARENT_PROFILE", `Profile "${key}" extends unknown profile "${parent}"`, {
+          source: `profiles.${key}.extends`,
+          tokens: [String(parent)],
+        });
+        continue;
+      }
+      if (chain.includes(parentKey)) {
+        pushWarning(warnings, "PROFILE_EXTENDS_CYCLE", `Profile extends cycle: ${chain.concat(parentKey).join(" -> ")}`, {
+          source: `profiles.${key}.extends`,
+          tokens: chain.concat(parentKey),
+        });
+        continue;
+      }
+      base = mergeConfigValues(base, resolveProfile(parentKey, chain.concat(parentKey)));
+    }
+    resolved[key] = mergeConfigValues(base, own);
+    return resolved[key];
+  };
+
+  return {
+    ...config,
+    profiles: Object.fromEntries(Object.keys(profiles).map((key) => [key, resolveProfile(key, [key])])),
+  };
+}
+
+/* =========================
+ * Label mapping
+ * =========================
+ * labels: { "<label or glob>": "key=value" | ["key=value", ...] }
+ * `*` and `?` capture into $1..$9, e.g. "ci:target:*": "include=$1".
+ */
+
+function labelPatternToRegExp(pattern) {
+  let re = "^";
+  for (const ch of String(pattern)) {
+    if (ch === "*") re += "(.*)";
+    else if (ch === "?") re += "(.)";
+    else re += ch.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+  }
+  return new RegExp(`${re}$`, "i");
+}
+
+function mapLabelsToDirectives(labelMap, labels, warnings) {
+  const lines = [];
+  if (!isPlainObject(labelMap)) return lines;
+  for (const [pattern, mapped] of Object.entries(labelMap)) {
+    const regex = labelPatternToRegExp(pattern);
+    for (const label of labels) {
+      const match = String(label).match(regex);
+      if (!match) continue;
+      for (const line of [].concat(mapped)) {
+        const expanded = String(line).replace(/\$(\d)/g, (_, index) => match[Number(index)] || "");
+        if (hasDirective(expanded)) {
+          lines.push(expanded);
+        } else {
+          pushWarning(
+            warnings,
+            "INVALID_LABEL_DIRECTIVE",
+            `Label "${label}" maps to "${expanded}" (labels["${pattern}"]), which is not a key=value directive`,
+            { source: `labels["${pattern}"]`, tokens: [expanded] }
+          );
+        }
+      }
+    }
+  }
+  return lines;
+}
+
+// root and profile labels of the profile a run plans for
+function resolveLabelMap(config, requestedProfile) {
+  return resolvePlanningConfig(resolveProfileExtends(config || {}, []), requestedProfile, []).config.labels;
+}
+
+// directive harvest settings of a run, shared by the action and the CLI: the
+// root directiveSources, slashCommands and trust of the extends-resolved config
+// and the labels of the planned profile
+function resolveHarvestSettings(config, requestedProfile) {
+  const resolved = resolveProfileExtends(config || {}, []);
+  return {
+    directiveSources: resolved.directiveSources,
+    labelMap: resolveLabelMap(resolved, requestedProfile),
+    slashCommands: resolved.slashCommands,
+    trust: resolved.trust,
+  };
+}
+
 function resolvePlanningConfig(config, requestedProfile, warnings) {
   const profiles = config?.profiles;
   if (!profiles || typeof profiles !== "object" || Array.isArray(profiles)) {
     if (requestedProfile && String(requestedProfile).toLowerCase() !== DEFAULT_PROFILE) {
-      warnings.push(`Profile "${requestedProfile}" requested, but config has no profiles; using legacy root config`);
+      pushWarning(warnings, "PROFILE_FALLBACK", `Profile "${requestedProfile}" requested, but config has no profiles; using legacy root config`, {
+        source: "profile",
+        tokens: [requestedProfile],
+      });
     }
     return {
       profile: DEFAULT_PROFILE,
@@ -356,7 +753,13 @@ function resolvePlanningConfig(config, requestedProfile, warnings) {
   const requested = String(requestedProfile || defaultProfileCandidate || fallbackProfile).toLowerCase();
   const resolvedProfile = availableProfiles[requested] ? requested : fallbackProfile;
   if (!availableProfiles[requested] && requestedProfile) {
-    warnings.push(`Unknown profile "${requestedProfile}", falling back to "${resolvedProfile}"`);
+    const suggestion = suggestToken(requested, availableNames);
+    pushWarning(
+      warnings,
+      "PROFILE_FALLBACK",
+      `Unknown profile "${requestedProfile}", falling back to "${resolvedProfile}"${suggestion ? ` (did you mean ${suggestion}?)` : ""}`,
+      { source: "profile", tokens: [requestedProfile], suggestions: suggestion ? { [requestedProfile]: suggestion } : {} }
+    );
   }
   const profileConfig = availableProfiles[resolvedProfile] || {};
   return {
@@ -364,6 +767,12 @@ function resolvePlanningConfig(config, requestedProfile, warnings) {
     config: {
       ...profileConfig,
       pathRules: [].concat(config.pathRules || []).concat(profileConfig.pathRules || []),
+      pathRulesFallback: profileConfig.pathRulesFallback || config.pathRulesFallback,
+      matrixLimit: profileConfig.matrixLimit || config.matrixLimit,
+      labels: {
+        ...(isPlainObject(config.labels) ? config.labels : {}),
+        ...(isPlainObject(profileConfig.labels) ? profileConfig.labels : {}),
+      },
     },
   };
 }
@@ -400,7 +809,10 @@ function buildMatrixForTargets(targets, catalog, warnings) {
   for (const target of targets) {
     const row = catalog[target];
     if (!row || typeof row !== "object" || Array.isArray(row)) {
-      warnings.push(`Catalog entry missing or invalid for target "${target}"`);
+      pushWarning(warnings, "CATALOG_ENTRY_MISSING", `Catalog entry missing or invalid for target "${target}"`, {
+        source: "catalog",
+        tokens: [target],
+      });
       continue;
     }
     include.push({
@@ -414,198 +826,574 @@ function buildMatrixForTargets(targets, catalog, warnings) {
   };
 }
 
-function getRefName(payload) {
-  const refName = payload?.ref ? String(payload.ref).split("/").pop() : "";
-  return (payload?.ref_name || refName || "").trim();
-}
+/* =========================
+ * Matrix axes
+ * =========================
+ * axes.<name> is a list of values (all selected by default) or
+ * { values, default }. Rows are target × axes in declaration order;
+ * matrixExclude drops matching rows, matrixInclude entries extend the
+ * matching rows or are appended as new rows (as in GitHub matrices).
+ */
 
-function getPackagingProfileConfig(config) {
-  return getNamedProfileConfig(config, PACKAGING_PROFILE);
+const sameAxisValue = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+function normalizeAxes(axesConfig) {
+  if (!isPlainObject(axesConfig)) return [];
+  const axes = [];
+  for (const [name, spec] of Object.entries(axesConfig)) {
+    const rawValues = Array.isArray(spec) ? spec : (Array.isArray(spec?.values) ? spec.values : []);
+    const values = rawValues.filter((value, index) =>
+      ["string", "number", "boolean"].includes(typeof value) &&
+      rawValues.findIndex((other) => sameAxisValue(other, value)) === index);
+    if (!values.length) continue;
+    const defaults = isPlainObject(spec) && spec.default !== undefined ? [].concat(spec.default) : values;
+    axes.push({
+      name,
+      values,
+      defaults: values.filter((value) => defaults.some((item) => sameAxisValue(item, value))),
+    });
+  }
+  return axes;
 }
 
-function getPackagingConfig(config, activeProfile, activeConfig) {
-  const rootCfg = config?.packaging || {};
-  const profileCfg = activeProfile === PACKAGING_PROFILE
-    ? (activeConfig || {})
-    : getPackagingProfileConfig(config);
-  return {
-    jobs: profileCfg.jobs || rootCfg.jobs || [DEFAULT_PKG_JOB],
-    defaults: profileCfg.defaults || rootCfg.defaults || {},
-    defaultTargets: profileCfg.defaultTargets || rootCfg.defaultTargets || [],
-    catalog: profileCfg.catalog || rootCfg.catalog || {},
-    groups: profileCfg.groups || rootCfg.groups || {},
-    defaultOnBranches: profileCfg.defaultOnBranches || rootCfg.defaultOnBranches || [],
-  };
+// axis.<name>=... always works; <name>=... unless it shadows a built-in key
+function getAxisDirective(directives, name) {
+  const lower = String(name).toLowerCase();
+  const prefixed = `axis.${lower}`;
+  if (directives[prefixed]) return { key: prefixed, value: directives[prefixed] };
+  if (!DIRECTIVE_KEYS.has(lower) && directives[lower]) return { key: lower, value: directives[lower] };
+  return null;
 }
 
-function getPackagingDefaultTargets(packagingConfig) {
-  return lowerUnique(
-    []
-      .concat(packagingConfig?.defaults?.targets || [])
-      .concat(packagingConfig?.defaultTargets || [])
-      .filter(Boolean)
-      .map((item) => String(item).toLowerCase())
-  );
+function selectAxisValues(axes, directives, warnings) {
+  const selected = {};
+  const explicit = new Set();
+  for (const axis of axes) {
+    selected[axis.name] = axis.defaults;
+    const directive = getAxisDirective(directives, axis.name);
+    if (!directive) continue;
+
+    const picked = [];
+    const unknown = [];
+    for (const token of normalizeList(directive.value)) {
+      const lower = token.toLowerCase();
+      if (lower === "all") picked.push(...axis.values);
+      else if (lower === "default") picked.push(...axis.defaults);
+      else {
+        const value = axis.values.find((item) => sameAxisValue(item, token));
+        if (value === undefined) unknown.push(token);
+        else picked.push(value);
+      }
+    }
+    if (unknown.length) {
+      const { text, suggestions } = describeUnknownTokens(unknown, axis.values);
+      pushWarning(warnings, "UNKNOWN_AXIS_VALUE", `Unknown values in ${directive.key}=: ${text}`, {
+        source: `${directive.key}=`,
+        tokens: unknown,
+        suggestions,
+      });
+    }
+    if (picked.length) {
+      selected[axis.name] = axis.values.filter((value) => picked.includes(value));
+      explicit.add(axis.name);
+    } else {
+      pushWarning(warnings, "AXIS_FALLBACK", `No values selected for axis "${axis.name}", falling back to defaults: ${axis.defaults.join(", ")}`, {
+        source: `${directive.key}=`,
+      });
+    }
+  }
+  return { selected, explicit };
 }
 
-function getCatalogProfileConfig(activeConfig, activeProfile) {
+function expandMatrixAxes({ matrixRows, profileConfig, directives, warnings }) {
+  const axes = normalizeAxes(profileConfig.axes);
+  const includeEntries = [].concat(profileConfig.matrixInclude || []).filter(isPlainObject);
+  const excludeEntries = [].concat(profileConfig.matrixExclude || []).filter(isPlainObject);
+  if (!axes.length && !includeEntries.length && !excludeEntries.length) return null;
+
+  const { selected, explicit } = selectAxisValues(axes, directives, warnings);
+  const dimensions = ["target", ...axes.map((axis) => axis.name)];
+  const matches = (row, entry, keys) => keys.every((key) => key in row && sameAxisValue(row[key], entry[key]));
+
+  let rows = matrixRows.map((row) => ({ ...row }));
+  for (const axis of axes) {
+    rows = rows.flatMap((row) => selected[axis.name].map((value) => ({ ...row, [axis.name]: value })));
+  }
+  rows = rows.filter((row) => !excludeEntries.some((entry) => matches(row, entry, Object.keys(entry))));
+
+  const selectedTargets = new Set(matrixRows.map((row) => String(row.target).toLowerCase()));
+  for (const entry of includeEntries) {
+    const keys = dimensions.filter((key) => entry[key] !== undefined);
+    const matching = rows.filter((row) => matches(row, entry, keys));
+    if (matching.length) {
+      for (const row of matching) {
+        for (const [key, value] of Object.entries(entry)) {
+          if (!dimensions.includes(key)) row[key] = value;
+        }
+      }
+      continue;
+    }
+    // new rows only for selected targets and explicitly selected axis values
+    if (entry.target !== undefined && !selectedTargets.has(String(entry.target).toLowerCase())) continue;
+    if (axes.some((axis) => explicit.has(axis.name) && entry[axis.name] !== undefined &&
+      !selected[axis.name].some((value) => sameAxisValue(value, entry[axis.name])))) continue;
+    const baseRow = matrixRows.find((row) => entry.target !== undefined && sameAxisValue(row.target, entry.target));
+    rows.push({ ...(baseRow || {}), ...entry });
+  }
+
+  if (matrixRows.length && !rows.length) {
+    pushWarning(warnings, "NO_MATRIX_ROWS", "No matrix rows left after applying axes and matrixExclude", { source: "matrixExclude" });
+  }
   return {
-    jobs: activeConfig?.jobs || [String(activeProfile).toLowerCase()],
-    defaults: activeConfig?.defaults || {},
-    defaultTargets: activeConfig?.defaultTargets || [],
-    catalog: activeConfig?.catalog || {},
-    groups: activeConfig?.groups || {},
+    matrix: { include: rows },
+    matrixRows: rows,
+    axes: selected,
   };
 }
 
-function resolveMatrixCatalog(config, activeConfig, warnings) {
-  const matrixCatalogProfile = String(activeConfig?.matrixCatalogProfile || "").trim().toLowerCase();
-  if (!matrixCatalogProfile) {
-    return {
-      profile: "",
-      catalog: {},
-    };
-  }
+// target rows (catalog-enriched when available), expanded over the profile axes
+function buildPlanMatrix({ targets, catalog, profileConfig, directives, warnings }) {
+  const { matrix, matrixRows } = buildMatrixForTargets(targets, catalog, warnings);
+  return expandMatrixAxes({ matrixRows, profileConfig, directives, warnings }) || { matrix, matrixRows, axes: {} };
+}
 
-  const profileConfig = getNamedProfileConfig(config, matrixCatalogProfile);
-  if (!Object.keys(profileConfig || {}).length) {
-    warnings.push(`Matrix catalog profile "${matrixCatalogProfile}" was not found`);
-    return {
-      profile: matrixCatalogProfile,
-      catalog: {},
-    };
-  }
+/* =========================
+ * Per-job matrices
+ * =========================
+ * jobTargets.<job> restricts the matrix rows a job runs on: `targets` (allow
+ * list), `excludeTargets` and `where` (row/catalog attributes, a value or a
+ * list of accepted values). Jobs without rules get the full matrix.
+ */
 
-  if (!profileConfig.catalog || typeof profileConfig.catalog !== "object" || Array.isArray(profileConfig.catalog)) {
-    warnings.push(`Matrix catalog profile "${matrixCatalogProfile}" has no catalog`);
-    return {
-      profile: matrixCatalogProfile,
-      catalog: {},
+function normalizeJobTargets(jobTargets) {
+  const rules = {};
+  if (!isPlainObject(jobTargets)) return rules;
+  for (const [job, rule] of Object.entries(jobTargets)) {
+    if (!isPlainObject(rule)) continue;
+    rules[String(job).toLowerCase()] = {
+      name: job,
+      targets: Array.isArray(rule.targets) ? new Set(lowerUnique(rule.targets)) : null,
+      excludeTargets: new Set(lowerUnique(rule.excludeTargets || [])),
+      where: isPlainObject(rule.where) ? rule.where : {},
     };
   }
+  return rules;
+}
 
-  return {
-    profile: matrixCatalogProfile,
-    catalog: normalizeCatalog(profileConfig.catalog),
-  };
+function isRowCompatible(row, rule) {
+  const target = row.target === undefined ? "" : String(row.target).toLowerCase();
+  if (rule.targets && !rule.targets.has(target)) return false;
+  if (rule.excludeTargets.has(target)) return false;
+  return Object.entries(rule.where).every(([key, accepted]) =>
+    key in row && [].concat(accepted).some((value) => String(value).toLowerCase() === String(row[key]).toLowerCase()));
 }
 
-function getCatalogDefaultTargets(profileConfig) {
-  return lowerUnique(
-    []
-      .concat(profileConfig?.defaults?.targets || [])
-      .concat(profileConfig?.defaultTargets || [])
-      .filter(Boolean)
-      .map((item) => String(item).toLowerCase())
-  );
+// same shape as the plan matrix: { target: [...] } or { include: [...] }
+function matrixFromRows(matrix, rows) {
+  return matrix.include ? { include: rows } : { target: rows.map((row) => row.target) };
 }
 
-function getCatalogKnownTargetSet(defaultTargets, catalog, groups) {
-  return new Set(lowerUnique(
-    []
-      .concat(defaultTargets || [])
-      .concat(Object.keys(catalog || {}))
-      .concat(Object.keys(groups || {}))
-      .concat(Object.values(groups || {}).flatMap((items) => items || []))
-      .filter(Boolean)
-      .map((item) => String(item).toLowerCase())
-  ));
+function matrixRowsOf(matrix) {
+  return matrix.include || (matrix.target || []).map((target) => ({ target }));
 }
 
-function expandCatalogTokens(tokens, { defaultTargets, catalog, groups }) {
-  const normalized = lowerUnique(tokens || []);
-  const catalogTargets = Object.keys(catalog || {}).map((item) => String(item).toLowerCase());
-  const explicitNoneOnly = normalized.length > 0 && normalized.every((token) => token === "none");
-  const out = [];
+// job@target pairs: only= keeps exactly the paired cells of a job, skip= drops them.
+// `expand` resolves a pair target like targets= does (groups, selectors); skip=
+// pair targets that match no known target are reported (only= ones are reported
+// by the target selection).
+function buildJobCells(onlyPairs, skipPairs, { expand = (target) => [target], knownTargetSet = new Set(), warnings = [] } = {}) {
+  const collect = (pairs, filter) => {
+    const cells = Object.create(null);
+    for (const { job, target } of pairs) {
+      if (!cells[job]) cells[job] = new Set();
+      for (const item of filter(expand(target))) cells[job].add(item);
+    }
+    return cells;
+  };
+  return {
+    active: !!(onlyPairs.length || skipPairs.length),
+    only: collect(onlyPairs, (targets) => targets),
+    skip: collect(skipPairs, (targets) => normalizeTargetTokens(targets, "skip=", knownTargetSet, warnings)),
+  };
+}
 
-  for (const token of normalized) {
-    if (token === "none") continue;
-    if (token === "default") {
-      out.push(...defaultTargets);
+function buildMatrixByJob({ enabledJobs, matrix, matrixRows, jobTargets, jobCells, explicitJobs, explicitTargets, warnings }) {
+  const rules = normalizeJobTargets(jobTargets);
+  const matrixByJob = {};
+  const runnableJobs = [];
+  for (const job of enabledJobs) {
+    const jobKey = String(job).toLowerCase();
+    const rule = rules[jobKey];
+    const onlyCells = jobCells.only[jobKey];
+    const skipCells = jobCells.skip[jobKey];
+    if (!rule && !onlyCells && !skipCells) {
+      matrixByJob[job] = matrix;
+      runnableJobs.push(job);
       continue;
     }
-    if (token === "all") {
-      out.push(...(catalogTargets.length ? catalogTargets : defaultTargets));
-      continue;
+
+    const compatibleRows = rule ? matrixRows.filter((row) => isRowCompatible(row, rule)) : matrixRows;
+    const rows = compatibleRows.filter((row) => {
+      const target = String(row.target).toLowerCase();
+      return (!onlyCells || onlyCells.has(target)) && !(skipCells && skipCells.has(target));
+    });
+    if (rule && explicitJobs.includes(jobKey)) {
+      const incompatible = explicitTargets.filter((target) =>
+        matrixRows.some((row) => String(row.target).toLowerCase() === target) &&
+        !compatibleRows.some((row) => String(row.target).toLowerCase() === target));
+      if (incompatible.length) {
+        pushWarning(
+          warnings,
+          "INCOMPATIBLE_JOB_TARGETS",
+          `Job "${job}" is not compatible with ${incompatible.join(", ")} (jobTargets.${rule.name}); skipping those pairs`,
+          { source: `jobTargets.${rule.name}`, tokens: incompatible }
+        );
+      }
     }
-    if (groups[token]) {
-      out.push(...groups[token]);
+    if (!rows.length && matrixRows.length) {
+      pushWarning(warnings, "JOB_DROPPED", compatibleRows.length
+        ? `Job "${job}" has no targets left after only=/skip= job@target pairs; dropping it`
+        : `Job "${job}" has no compatible targets (jobTargets.${rule.name}); dropping it`, {
+        source: compatibleRows.length ? "only=/skip=" : `jobTargets.${rule.name}`,
+        tokens: [job],
+      });
       continue;
     }
-    out.push(token);
+    matrixByJob[job] = matrixFromRows(matrix, rows);
+    runnableJobs.push(job);
   }
+  return { enabledJobs: runnableJobs, matrixByJob };
+}
+
+// with job@target pairs the plan matrix keeps its shape and drops the rows no
+// job runs any more; the exact cells of each job are in matrixByJob
+function matrixForJobs(matrix, enabledJobs, matrixByJob) {
+  const used = new Set(enabledJobs.flatMap((job) => matrixRowsOf(matrixByJob[job]).map((row) => JSON.stringify(row))));
+  return matrixFromRows(matrix, matrixRowsOf(matrix).filter((row) => used.has(JSON.stringify(row))));
+}
+
+/* =========================
+ * Matrix limit and shards
+ * =========================
+ * GitHub rejects matrices over 256 jobs at runtime. matrixLimit sets the cap
+ * (`max`), what happens above it (`onExceed`: warn, error or shard) and how
+ * matrix_shards_json splits the rows (`shardSize`, `shardBy`).
+ */
 
+function resolveMatrixLimit(limitConfig, warnings) {
+  const cfg = isPlainObject(limitConfig) ? limitConfig : {};
+  const positiveInt = (value, name, fallback) => {
+    if (value === undefined) return fallback;
+    if (Number.isInteger(value) && value > 0) return value;
+    pushWarning(warnings, "INVALID_CONFIG_VALUE", `Invalid matrixLimit.${name} "${value}", using ${fallback}`, {
+      source: `matrixLimit.${name}`,
+      tokens: [String(value)],
+    });
+    return fallback;
+  };
+  const max = positiveInt(cfg.max, "max", GITHUB_MATRIX_LIMIT);
+  const onExceed = String(cfg.onExceed || "warn").toLowerCase();
+  if (!MATRIX_LIMIT_ACTIONS.has(onExceed)) {
+    pushWarning(warnings, "INVALID_CONFIG_VALUE", `Unsupported matrixLimit.onExceed "${onExceed}", falling back to "warn"`, {
+      source: "matrixLimit.onExceed",
+      tokens: [onExceed],
+    });
+  }
   return {
-    explicitNoneOnly,
-    targets: lowerUnique(out),
+    max,
+    onExceed: MATRIX_LIMIT_ACTIONS.has(onExceed) ? onExceed : "warn",
+    shardSize: Math.min(positiveInt(cfg.shardSize, "shardSize", max), max),
+    shardBy: cfg.shardBy ? String(cfg.shardBy) : "",
   };
 }
 
-function normalizeCatalogTargets(rawTargets, sourceName, knownTargetSet, warnings) {
-  if (!knownTargetSet.size) {
-    return lowerUnique(rawTargets || []);
+// rows keep their plan order; with shardBy, each shard holds one key value
+// (key values sorted) so shards are stable across runs
+function shardMatrix(matrix, { shardSize, shardBy }) {
+  const groups = new Map();
+  for (const row of matrixRowsOf(matrix)) {
+    const key = shardBy && row[shardBy] !== undefined ? String(row[shardBy]) : "";
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(row);
   }
-  const { valid, unknown } = filterKnownTokens(rawTargets, knownTargetSet);
-  if (unknown.length) {
-    warnings.push(`Unknown targets in ${sourceName}: ${unknown.join(", ")}`);
+  const shards = [];
+  for (const key of [...groups.keys()].sort()) {
+    const rows = groups.get(key);
+    for (let start = 0; start < rows.length; start += shardSize) {
+      shards.push(matrixFromRows(matrix, rows.slice(start, start + shardSize)));
+    }
   }
-  return valid;
+  return shards;
 }
 
-function selectCatalogTargets({ directives, catalogProfileConfig, warnings }) {
-  const defaultTargets = getCatalogDefaultTargets(catalogProfileConfig);
-  const catalog = normalizeCatalog(catalogProfileConfig.catalog || {});
-  const groups = normalizeGroups(catalogProfileConfig.groups || {});
-  const knownTargetSet = getCatalogKnownTargetSet(defaultTargets, catalog, groups);
+function applyMatrixLimit({ matrix, limitConfig, warnings }) {
+  const limit = resolveMatrixLimit(limitConfig, warnings);
+  const cells = matrixRowsOf(matrix).length;
+  const exceeded = cells > limit.max;
+  const message = exceeded
+    ? `Matrix has ${cells} jobs, over the limit of ${limit.max}; narrow the targets or use matrix_shards_json`
+    : "";
+  if (exceeded && limit.onExceed === "warn") {
+    pushWarning(warnings, "MATRIX_LIMIT_EXCEEDED", message, { source: "matrixLimit.max", tokens: [String(cells)] });
+  }
+  return {
+    shards: shardMatrix(matrix, limit),
+    matrixLimit: { cells, max: limit.max, onExceed: limit.onExceed, exceeded, message },
+  };
+}
+
+/* =========================
+ * Plan warnings
+ * =========================
+ * Warnings are collected as { code, severity, message, source, tokens,
+ * suggestions }: a stable code, "error" when an input was ignored or "warning"
+ * when the planner fell back, the directive or config key that caused it, the
+ * offending tokens and the closest known name for each of them. Plans expose
+ * the messages as warnings and the objects as warningDetails; the fail-on
+ * input fails the run on codes or severities.
+ */
 
-  const baseRaw = normalizeList(directives.targets || "");
-  const includeRaw = normalizeList(directives.include || "");
-  const excludeRaw = normalizeList(directives.exclude || "");
+const WARNING_SEVERITIES = {
+  UNKNOWN_TARGET: "error",
+  UNKNOWN_JOB: "error",
+  UNKNOWN_AXIS_VALUE: "error",
+  UNKNOWN_SHORTHAND: "error",
+  UNKNOWN_DIRECTIVE_KEY: "warning",
+  UNSUPPORTED_MODE: "error",
+  INVALID_CONFIG_VALUE: "error",
+  INVALID_LABEL_DIRECTIVE: "error",
+  UNTRUSTED_DIRECTIVES: "error",
+  SLASH_COMMAND_DENIED: "error",
+  UNKNOWN_PARENT_PROFILE: "error",
+  PROFILE_EXTENDS_CYCLE: "error",
+  CATALOG_ENTRY_MISSING: "error",
+  MATRIX_CATALOG_MISSING: "error",
+  PROFILE_FALLBACK: "warning",
+  TARGETS_FALLBACK: "warning",
+  AXIS_FALLBACK: "warning",
+  NO_JOBS_SELECTED: "warning",
+  NO_TARGETS_SELECTED: "warning",
+  NO_PACKAGING_TARGETS: "warning",
+  NO_MATRIX_ROWS: "warning",
+  JOB_DROPPED: "warning",
+  INCOMPATIBLE_JOB_TARGETS: "warning",
+  MATRIX_LIMIT_EXCEEDED: "warning",
+};
+const WARNING_SEVERITY_LEVELS = new Set(["error", "warning"]);
 
-  const baseExpanded = expandCatalogTokens(baseRaw, { defaultTargets, catalog, groups });
-  const includeExpanded = expandCatalogTokens(includeRaw, { defaultTargets, catalog, groups });
-  const excludeExpanded = expandCatalogTokens(excludeRaw, { defaultTargets, catalog, groups });
+function pushWarning(warnings, code, message, { source = "", tokens = [], suggestions = {} } = {}) {
+  warnings.push({ code, severity: WARNING_SEVERITIES[code] || "warning", message, source, tokens, suggestions });
+}
 
-  let targets = baseRaw.length
-    ? (baseExpanded.explicitNoneOnly
-      ? []
-      : normalizeCatalogTargets(baseExpanded.targets, "targets=", knownTargetSet, warnings))
-    : defaultTargets.slice();
+function describePlanWarnings(warnings) {
+  const messages = warnings.map((warning) => warning.message);
+  return {
+    warnings: messages,
+    warningsJson: listToJson(messages),
+    warningDetails: warnings,
+    warningDetailsJson: JSON.stringify(warnings),
+  };
+}
 
-  if (includeRaw.length) {
-    targets = lowerUnique(targets.concat(
-      normalizeCatalogTargets(includeExpanded.targets, "include=", knownTargetSet, warnings)
-    ));
+// fail-on: codes (UNKNOWN_TARGET) and severities (error, warning), comma or space separated
+function parseFailOn(raw) {
+  const failOn = { codes: new Set(), severities: new Set() };
+  for (const token of normalizeList(raw)) {
+    if (WARNING_SEVERITY_LEVELS.has(token.toLowerCase())) {
+      failOn.severities.add(token.toLowerCase());
+    } else if (WARNING_SEVERITIES[token.toUpperCase()]) {
+      failOn.codes.add(token.toUpperCase());
+    } else {
+      throw new Error(`Unsupported fail-on "${token}" (expected a warning code, error or warning)`);
+    }
   }
+  return failOn;
+}
 
-  if (excludeRaw.length) {
-    const excludeSet = new Set(
-      normalizeCatalogTargets(excludeExpanded.targets, "exclude=", knownTargetSet, warnings)
-    );
-    targets = targets.filter((target) => !excludeSet.has(target));
+function selectFailingWarnings(warningDetails, failOn) {
+  return (warningDetails || []).filter((warning) =>
+    failOn.codes.has(warning.code) || failOn.severities.has(warning.severity));
+}
+
+/* =========================
+ * Plan trace
+ * =========================
+ * Provenance of a plan: every step that set or changed the mode, the job set
+ * or a target set, in order, as { step, subject, before, after, source }.
+ * `directive(key)` names the harvested source of a directive key.
+ */
+
+function createPlanTrace(directive = (key) => `${key}=`) {
+  const steps = [];
+  return {
+    steps,
+    directive,
+    // initial values (before === null) are always recorded, changes only if they change something
+    record(subject, step, before, after, source) {
+      if (before !== null && JSON.stringify(before) === JSON.stringify(after)) return;
+      const copy = (value) => (Array.isArray(value) ? value.slice() : value);
+      steps.push({ step, subject, before: copy(before), after: copy(after), source });
+    },
+  };
+}
+
+// one summary line per step: "targets: exclude= removed x [a x] -> [a] (exclude= (message))"
+function formatTraceStep({ subject, step, before, after, source }) {
+  const show = (value) => (Array.isArray(value) ? `[${value.join(" ")}]` : String(value));
+  const change = before === null ? show(after) : `${show(before)} -> ${show(after)}`;
+  return `${subject}: ${step} ${change} (${source})`;
+}
+
+// step summary cells are HTML, and traces and warnings quote directive values from the message
+function escapeSummaryCell(text) {
+  return String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+}
+
+// step summary table rows (header first) of the plan trace, for core.summary.addTable
+function buildTraceTable(steps) {
+  const show = (value) => escapeSummaryCell(value === null ? "" : Array.isArray(value) ? value.join(" ") : value);
+  const header = ["Subject", "Step", "Before", "After", "Source"].map((data) => ({ data, header: true }));
+  return [header, ...steps.map((item) => [item.subject, item.step, item.before, item.after, item.source].map(show))];
+}
+
+// step summary table rows of the plan warnings, "did you mean" suggestions included
+function buildWarningTable(warnings) {
+  const header = ["Code", "Severity", "Message", "Source"].map((data) => ({ data, header: true }));
+  return [header, ...warnings.map((item) => [item.code, item.severity, item.message, item.source].map(escapeSummaryCell))];
+}
+
+function describePathRules(pathRuleMatch) {
+  return `pathRules (${pathRuleMatch.matchedRules.join(", ") || "fallback"})`;
+}
+
+function listDifference(list, removed) {
+  return list.filter((item) => !removed.includes(item));
+}
+
+function getRefName(payload) {
+  // issue_comment runs on the default branch: the PR branch is the one planned
+  if (payload?.issue?.pull_request) return String(payload.pull_request?.head?.ref || "").trim();
+  const refName = payload?.ref ? String(payload.ref).split("/").pop() : "";
+  return (payload?.ref_name || refName || "").trim();
+}
+
+function getPackagingProfileConfig(config) {
+  return getNamedProfileConfig(config, PACKAGING_PROFILE);
+}
+
+function getPackagingConfig(config, activeProfile, activeConfig) {
+  const rootCfg = config?.packaging || {};
+  const profileCfg = activeProfile === PACKAGING_PROFILE
+    ? (activeConfig || {})
+    : getPackagingProfileConfig(config);
+  return {
+    jobs: profileCfg.jobs || rootCfg.jobs || [DEFAULT_PKG_JOB],
+    defaults: profileCfg.defaults || rootCfg.defaults || {},
+    defaultTargets: profileCfg.defaultTargets || rootCfg.defaultTargets || [],
+    catalog: profileCfg.catalog || rootCfg.catalog || {},
+    groups: profileCfg.groups || rootCfg.groups || {},
+    defaultOnBranches: profileCfg.defaultOnBranches || rootCfg.defaultOnBranches || [],
+  };
+}
+
+function getPackagingDefaultTargets(packagingConfig) {
+  return lowerUnique(
+    []
+      .concat(packagingConfig?.defaults?.targets || [])
+      .concat(packagingConfig?.defaultTargets || [])
+      .filter(Boolean)
+      .map((item) => String(item).toLowerCase())
+  );
+}
+
+function getCatalogProfileConfig(activeConfig, activeProfile) {
+  return {
+    jobs: activeConfig?.jobs || [String(activeProfile).toLowerCase()],
+    defaults: activeConfig?.defaults || {},
+    defaultTargets: activeConfig?.defaultTargets || [],
+    catalog: activeConfig?.catalog || {},
+    groups: activeConfig?.groups || {},
+    axes: activeConfig?.axes || {},
+    matrixInclude: activeConfig?.matrixInclude || [],
+    matrixExclude: activeConfig?.matrixExclude || [],
+    jobTargets: activeConfig?.jobTargets || {},
+  };
+}
+
+function resolveMatrixCatalog(config, activeConfig, warnings) {
+  const matrixCatalogProfile = String(activeConfig?.matrixCatalogProfile || "").trim().toLowerCase();
+  if (!matrixCatalogProfile) {
+    return {
+      profile: "",
+      catalog: {},
+    };
+  }
+
+  const profileConfig = getNamedProfileConfig(config, matrixCatalogProfile);
+  if (!Object.keys(profileConfig || {}).length) {
+    pushWarning(warnings, "MATRIX_CATALOG_MISSING", `Matrix catalog profile "${matrixCatalogProfile}" was not found`, {
+      source: "matrixCatalogProfile",
+      tokens: [matrixCatalogProfile],
+    });
+    return {
+      profile: matrixCatalogProfile,
+      catalog: {},
+    };
+  }
+
+  if (!profileConfig.catalog || typeof profileConfig.catalog !== "object" || Array.isArray(profileConfig.catalog)) {
+    pushWarning(warnings, "MATRIX_CATALOG_MISSING", `Matrix catalog profile "${matrixCatalogProfile}" has no catalog`, {
+      source: "matrixCatalogProfile",
+      tokens: [matrixCatalogProfile],
+    });
+    return {
+      profile: matrixCatalogProfile,
+      catalog: {},
+    };
   }
 
   return {
-    catalog,
-    defaultTargets,
-    workingTargets: lowerUnique(targets),
+    profile: matrixCatalogProfile,
+    catalog: normalizeCatalog(profileConfig.catalog),
   };
 }
 
-function getPackagingKnownTargetSet(defaultTargets, catalog, groups) {
+function getCatalogDefaultTargets(profileConfig) {
+  return lowerUnique(
+    []
+      .concat(profileConfig?.defaults?.targets || [])
+      .concat(profileConfig?.defaultTargets || [])
+      .filter(Boolean)
+      .map((item) => String(item).toLowerCase())
+  );
+}
+
+/* =========================
+ * Target selection
+ * =========================
+ * One implementation for the ci path, catalog-backed profiles and packaging:
+ * the defaults (replaced by matching path rules), then a base list (targets=,
+ * only= targets, pkg=) that replaces them, include= and exclude=. Tokens are
+ * target names, group names, default, all, none and target selectors.
+ */
+
+function getKnownTargetSet(targets, catalog, groups) {
   return new Set(lowerUnique(
     []
-      .concat(defaultTargets || [])
+      .concat(targets || [])
       .concat(Object.keys(catalog || {}))
+      .concat(Object.keys(groups || {}))
       .concat(Object.values(groups || {}).flatMap((items) => items || []))
       .filter(Boolean)
       .map((item) => String(item).toLowerCase())
   ));
 }
 
-function expandPackagingTokens(tokens, { defaultTargets, catalog, groups }) {
+// default: the defaults after path rules, all: allTargets (or the defaults when empty)
+function expandTargetTokens(tokens, { defaultTargets, allTargets = [], catalog = {}, groups = {} }) {
   const normalized = lowerUnique(tokens || []);
-  const catalogTargets = Object.keys(catalog || {}).map((item) => String(item).toLowerCase());
+  const everyTarget = allTargets.length ? allTargets : defaultTargets;
+  const knownTargets = lowerUnique([...defaultTargets, ...everyTarget]);
   const explicitNoneOnly = normalized.length > 0 && normalized.every((token) => token === "none");
   const out = [];
 
@@ -616,14 +1404,14 @@ function expandPackagingTokens(tokens, { defaultTargets, catalog, groups }) {
       continue;
     }
     if (token === "all") {
-      out.push(...(catalogTargets.length ? catalogTargets : defaultTargets));
+      out.push(...everyTarget);
       continue;
     }
-    if (groups[token]) {
+    if (Object.hasOwn(groups, token)) {
       out.push(...groups[token]);
       continue;
     }
-    out.push(token);
+    out.push(...expandTargetSelectors([token], { knownTargets, catalog }));
   }
 
   return {
@@ -632,79 +1420,280 @@ function expandPackagingTokens(tokens, { defaultTargets, catalog, groups }) {
   };
 }
 
-function normalizePackagingTargets(rawTargets, sourceName, knownTargetSet, warnings) {
+function normalizeTargetTokens(rawTargets, sourceName, knownTargetSet, warnings, label = "targets") {
   if (!knownTargetSet.size) {
     return lowerUnique(rawTargets || []);
   }
   const { valid, unknown } = filterKnownTokens(rawTargets, knownTargetSet);
   if (unknown.length) {
-    warnings.push(`Unknown packaging targets in ${sourceName}: ${unknown.join(", ")}`);
+    const { text, suggestions } = describeUnknownTokens(unknown, knownTargetSet);
+    pushWarning(warnings, "UNKNOWN_TARGET", `Unknown ${label} in ${sourceName}: ${text}`, { source: sourceName, tokens: unknown, suggestions });
   }
   return valid;
 }
 
-function selectPackagingTargets({ directives, packagingConfig, warnings, useDefaults }) {
-  const defaultTargets = getPackagingDefaultTargets(packagingConfig);
-  const catalog = normalizeCatalog(packagingConfig.catalog || {});
-  const groups = normalizeGroups(packagingConfig.groups || {});
-  const knownTargetSet = getPackagingKnownTargetSet(defaultTargets, catalog, groups);
-
-  const baseRaw = normalizeList(directives.pkg || directives["pkg-targets"] || "");
-  const includeRaw = normalizeList(directives["pkg-include"] || "");
-  const excludeRaw = normalizeList(directives["pkg-exclude"] || "");
-  const baseSource = directives.pkg ? "pkg=" : "pkg-targets=";
+// { raw, source, origin } of a target list directive such as include=
+function targetDirective(directives, key, trace) {
+  return { raw: normalizeList(directives[key] || ""), source: `${key}=`, origin: trace.directive(key) };
+}
 
-  const baseExpanded = expandPackagingTokens(baseRaw, { defaultTargets, catalog, groups });
-  const includeExpanded = expandPackagingTokens(includeRaw, { defaultTargets, catalog, groups });
-  const excludeExpanded = expandPackagingTokens(excludeRaw, { defaultTargets, catalog, groups });
+function selectTargets({
+  configDefaultTargets,
+  defaultsStep,
+  useDefaults = true,
+  allTargets = [],
+  catalog = {},
+  groups = {},
+  knownTargetSet = getKnownTargetSet(configDefaultTargets, catalog, groups),
+  ruleTargets = [],
+  ruleTargetsAdd = false,
+  ruleSource = "pathRules",
+  base,
+  include,
+  exclude,
+  subject = "targets",
+  label = "targets",
+  warnings,
+  trace = createPlanTrace(),
+}) {
+  const expand = (tokens, defaultTargets) => expandTargetTokens(tokens, { defaultTargets, allTargets, catalog, groups });
+  const normalize = (tokens, sourceName) => normalizeTargetTokens(tokens, sourceName, knownTargetSet, warnings, label);
+
+  // matched path rules replace the configured defaults, unless none of their targets is known;
+  // rules that leave changed files uncovered (ruleTargetsAdd) add to the defaults instead
+  let defaultTargets = configDefaultTargets;
+  if (ruleTargets.length) {
+    const expanded = expand(ruleTargets, configDefaultTargets);
+    const ruleDefaults = normalize(expanded.targets, "pathRules");
+    if (ruleTargetsAdd) defaultTargets = lowerUnique([...configDefaultTargets, ...ruleDefaults]);
+    else if (ruleDefaults.length || expanded.explicitNoneOnly) defaultTargets = ruleDefaults;
+  }
+  if (useDefaults) {
+    trace.record(subject, defaultsStep, null, configDefaultTargets, "config");
+    const ruleStep = ruleTargetsAdd ? `path rules added to the default ${label}` : `path rules replaced the default ${label}`;
+    trace.record(subject, ruleStep, configDefaultTargets, defaultTargets, ruleSource);
+  }
 
-  let targets = [];
-  if (baseRaw.length) {
-    targets = baseExpanded.explicitNoneOnly
-      ? []
-      : normalizePackagingTargets(baseExpanded.targets, baseSource, knownTargetSet, warnings);
-  } else if (useDefaults) {
-    targets = defaultTargets.slice();
+  const start = useDefaults ? defaultTargets : [];
+  let targets = start.slice();
+  let explicitNone = false;
+  if (base.raw.length) {
+    const expanded = expand(base.raw, defaultTargets);
+    explicitNone = expanded.explicitNoneOnly;
+    targets = explicitNone ? [] : normalize(expanded.targets, base.source);
+    trace.record(subject, `${base.source} replaced the ${label}`, start, targets, base.origin);
   }
 
-  if (includeRaw.length) {
-    targets = lowerUnique(targets.concat(
-      normalizePackagingTargets(includeExpanded.targets, "pkg-include=", knownTargetSet, warnings)
-    ));
+  if (include.raw.length) {
+    const before = targets;
+    targets = lowerUnique(targets.concat(normalize(expand(include.raw, defaultTargets).targets, include.source)));
+    trace.record(subject, `${include.source} added ${listDifference(targets, before).join(", ")}`, before, targets, include.origin);
   }
 
-  if (excludeRaw.length) {
-    const excludeSet = new Set(
-      normalizePackagingTargets(excludeExpanded.targets, "pkg-exclude=", knownTargetSet, warnings)
-    );
+  let excludedAll = false;
+  if (exclude.raw.length) {
+    const before = targets;
+    const excludeSet = new Set(normalize(expand(exclude.raw, defaultTargets).targets, exclude.source));
     targets = targets.filter((target) => !excludeSet.has(target));
+    excludedAll = before.length > 0 && !targets.length;
+    trace.record(subject, `${exclude.source} removed ${listDifference(before, targets).join(", ")}`, before, targets, exclude.origin);
   }
 
   return {
-    catalog,
     defaultTargets,
-    hasPkgDirectives: !!(baseRaw.length || includeRaw.length || excludeRaw.length),
-    pkgTargets: lowerUnique(targets),
+    targets: lowerUnique(targets),
+    // emptied on purpose (targets=none, exclude=all) rather than by unknown tokens
+    cleared: explicitNone || excludedAll,
+    hasDirectives: !!(base.raw.length || include.raw.length || exclude.raw.length),
+  };
+}
+
+function selectCatalogTargets({
+  directives,
+  catalogProfileConfig,
+  warnings,
+  ruleTargets = [],
+  ruleTargetsAdd = false,
+  ruleSource = "pathRules",
+  trace = createPlanTrace(),
+  targetsSource = trace.directive("targets"),
+}) {
+  const catalog = normalizeCatalog(catalogProfileConfig.catalog || {});
+  const groups = normalizeGroups(catalogProfileConfig.groups || {});
+  const selection = selectTargets({
+    configDefaultTargets: getCatalogDefaultTargets(catalogProfileConfig),
+    defaultsStep: "default targets from defaults.targets",
+    allTargets: Object.keys(catalog),
+    catalog,
+    groups,
+    ruleTargets,
+    ruleTargetsAdd,
+    ruleSource,
+    base: { ...targetDirective(directives, "targets", trace), origin: targetsSource },
+    include: targetDirective(directives, "include", trace),
+    exclude: targetDirective(directives, "exclude", trace),
+    warnings,
+    trace,
+  });
+  return {
+    catalog,
+    groups,
+    defaultTargets: selection.defaultTargets,
+    workingTargets: selection.targets,
+  };
+}
+
+function selectPackagingTargets({
+  directives,
+  packagingConfig,
+  warnings,
+  useDefaults,
+  ruleTargets = [],
+  ruleTargetsAdd = false,
+  ruleSource = "pathRules",
+  trace = createPlanTrace(),
+}) {
+  const catalog = normalizeCatalog(packagingConfig.catalog || {});
+  const selection = selectTargets({
+    configDefaultTargets: getPackagingDefaultTargets(packagingConfig),
+    defaultsStep: "default packaging targets from defaults.targets",
+    useDefaults,
+    allTargets: Object.keys(catalog),
+    catalog,
+    groups: normalizeGroups(packagingConfig.groups || {}),
+    ruleTargets,
+    ruleTargetsAdd,
+    ruleSource,
+    base: targetDirective(directives, directives.pkg ? "pkg" : "pkg-targets", trace),
+    include: targetDirective(directives, "pkg-include", trace),
+    exclude: targetDirective(directives, "pkg-exclude", trace),
+    subject: "pkgTargets",
+    label: "packaging targets",
+    warnings,
+    trace,
+  });
+  return {
+    catalog,
+    defaultTargets: selection.defaultTargets,
+    hasPkgDirectives: selection.hasDirectives,
+    pkgTargets: selection.targets,
   };
 }
 
-function computePackagingOutputs({ cfg, activeProfile, activeConfig, directives, context, warnings, forcePackagingProfile = false }) {
+/* =========================
+ * Job selection
+ * =========================
+ * One implementation for the ci path and catalog-backed profiles: only= and
+ * skip= jobs from directives, else from matched path rules, else from the
+ * config defaults, applied to the starting jobs. skip=all and path rules with
+ * no jobs run nothing; job@target pairs name their job in only= and skip=.
+ */
+
+function selectJobs({
+  jobs,
+  knownJobSet,
+  directiveOnly,
+  directiveSkip,
+  defaultOnlyJobs = [],
+  defaultSkipJobs = [],
+  defaultSources = { onlyJobs: "defaults.onlyJobs", skipJobs: "defaults.skipJobs" },
+  pathRuleMatch,
+  warnings,
+  trace,
+}) {
+  const defaultOnlyJobsRaw = normalizeList(defaultOnlyJobs.join(" ")).filter((item) => !item.includes(":"));
+  const defaultSkipJobsRaw = normalizeList(defaultSkipJobs.join(" ")).filter((item) => !item.includes(":"));
+  const directiveOnlyJobsRaw = uniqueList([...directiveOnly.jobs, ...directiveOnly.pairs.map((pair) => pair.job)]);
+  // skip=all (e.g. from [ci skip]) runs nothing
+  const skipAllJobs = directiveSkip.jobs.some((job) => job.toLowerCase() === "all");
+  const directiveSkipJobsRaw = directiveSkip.jobs.filter((job) => job.toLowerCase() !== "all");
+  // Precedence: directives > matched path rules > config defaults
+  const ruleJobs = directiveOnlyJobsRaw.length ? null : pathRuleMatch.jobs;
+  const ruleSkipJobs = directiveSkipJobsRaw.length ? [] : pathRuleMatch.skipJobs;
+  const { valid: onlyJobsList, unknown: unknownOnlyJobs } = filterKnownTokens(
+    directiveOnlyJobsRaw.length ? directiveOnlyJobsRaw : (ruleJobs || defaultOnlyJobsRaw),
+    knownJobSet
+  );
+  const { valid: skipJobsList, unknown: unknownSkipJobs } = filterKnownTokens(
+    directiveSkipJobsRaw.length ? directiveSkipJobsRaw : (ruleSkipJobs.length ? ruleSkipJobs : defaultSkipJobsRaw),
+    knownJobSet
+  );
+  const unknownSkipPairJobs = filterKnownTokens(directiveSkip.pairs.map((pair) => pair.job), knownJobSet).unknown;
+  const reportUnknown = (unknown, source) => {
+    if (!unknown.length) return;
+    const { text, suggestions } = describeUnknownTokens(unknown, knownJobSet);
+    pushWarning(warnings, "UNKNOWN_JOB", `Unknown jobs in ${source}: ${text}`, { source, tokens: unknown, suggestions });
+  };
+  reportUnknown(unknownOnlyJobs, ruleJobs ? "pathRules" : "only=");
+  reportUnknown(unknownSkipJobs, ruleSkipJobs.length ? "pathRules" : "skip=");
+  reportUnknown(unknownSkipPairJobs, "skip=");
+
+  // an empty jobs list from path rules (or the "none" fallback) runs nothing
+  const ruleSelectedNoJobs = !!(ruleJobs && !ruleJobs.length);
+  let enabledJobs = jobs.slice();
+  if (ruleSelectedNoJobs || skipAllJobs) {
+    trace.record(
+      "jobs",
+      skipAllJobs ? "skip=all skipped every job" : "path rules selected no jobs",
+      enabledJobs,
+      [],
+      skipAllJobs ? trace.directive("skip") : describePathRules(pathRuleMatch)
+    );
+    enabledJobs = [];
+  }
+  if (onlyJobsList.length) {
+    const before = enabledJobs;
+    enabledJobs = enabledJobs.filter((job) => onlyJobsList.includes(String(job).toLowerCase()));
+    const source = directiveOnlyJobsRaw.length ? trace.directive("only") : (ruleJobs ? describePathRules(pathRuleMatch) : defaultSources.onlyJobs);
+    trace.record("jobs", `only=${onlyJobsList.join(",")} kept ${enabledJobs.join(", ") || "no jobs"}`, before, enabledJobs, source);
+  }
+  if (skipJobsList.length) {
+    const before = enabledJobs;
+    enabledJobs = enabledJobs.filter((job) => !skipJobsList.includes(String(job).toLowerCase()));
+    const source = directiveSkipJobsRaw.length ? trace.directive("skip") : (ruleSkipJobs.length ? describePathRules(pathRuleMatch) : defaultSources.skipJobs);
+    trace.record("jobs", `skip= removed ${listDifference(before, enabledJobs).join(", ")}`, before, enabledJobs, source);
+  }
+  if (!enabledJobs.length && !ruleSelectedNoJobs && !skipAllJobs) {
+    pushWarning(warnings, "NO_JOBS_SELECTED", "No jobs selected after applying only=/skip= filters", { source: "only=/skip=" });
+  }
+
+  return { enabledJobs, onlyJobsList, skipJobsList, directiveOnlyJobsRaw, skipAllJobs };
+}
+
+function computePackagingOutputs({
+  cfg,
+  activeProfile,
+  activeConfig,
+  directives,
+  context,
+  warnings,
+  pathRuleMatch,
+  forcePackagingProfile = false,
+  trace = createPlanTrace(),
+}) {
   const packagingConfig = getPackagingConfig(cfg, activeProfile, activeConfig);
   const refName = String(context.refName || "").toLowerCase();
   const branchDefaults = lowerUnique((packagingConfig.defaultOnBranches || []).map((item) => String(item).toLowerCase()));
-  const branchDefaultEnabled = !forcePackagingProfile && activeProfile === DEFAULT_PROFILE && branchDefaults.includes(refName);
-  const packagingRequested = forcePackagingProfile || branchDefaultEnabled;
+  // skip=all (e.g. [ci skip]) turns off default packaging; pkg= still enables it
+  const skipAll = splitJobTargetTokens(directives.skip).jobs.some((job) => job.toLowerCase() === "all");
+  const branchDefaultEnabled = !forcePackagingProfile && !skipAll && activeProfile === DEFAULT_PROFILE && branchDefaults.includes(refName);
+  const ruleDefaultEnabled = !forcePackagingProfile && !skipAll && (pathRuleMatch?.enableProfiles || []).includes(PACKAGING_PROFILE);
+  const packagingRequested = forcePackagingProfile || branchDefaultEnabled || ruleDefaultEnabled;
 
   const selection = selectPackagingTargets({
     directives,
     packagingConfig,
     warnings,
     useDefaults: packagingRequested,
+    ruleTargets: forcePackagingProfile ? (pathRuleMatch?.targets || []) : [],
+    ruleTargetsAdd: !!pathRuleMatch?.partial,
+    ruleSource: pathRuleMatch ? describePathRules(pathRuleMatch) : "pathRules",
+    trace,
   });
   const pkgRequested = selection.hasPkgDirectives || packagingRequested;
   const pkgTargets = selection.pkgTargets;
   if (pkgRequested && !pkgTargets.length) {
-    warnings.push("No packaging targets selected");
+    pushWarning(warnings, "NO_PACKAGING_TARGETS", "No packaging targets selected", { source: "pkg=" });
   }
 
   const { matrix: pkgMatrix, matrixRows: pkgMatrixRows } = buildMatrixForTargets(
@@ -723,7 +1712,7 @@ function computePackagingOutputs({ cfg, activeProfile, activeConfig, directives,
   };
 }
 
-function computePackagingProfilePlan({ cfg, activeConfig, activeProfile, directives, context, message, labels, warnings }) {
+function computePackagingProfilePlan({ cfg, activeConfig, activeProfile, directives, context, message, labels, warnings, pathRuleMatch, trace }) {
   const packagingOutputs = computePackagingOutputs({
     cfg,
     activeProfile,
@@ -731,13 +1720,21 @@ function computePackagingProfilePlan({ cfg, activeConfig, activeProfile, directi
     directives,
     context,
     warnings,
+    pathRuleMatch,
     forcePackagingProfile: true,
+    trace,
   });
   const configuredJobs = Array.isArray(packagingOutputs.packagingConfig.jobs)
     ? packagingOutputs.packagingConfig.jobs.filter(Boolean)
     : [];
   const enabledJobs = configuredJobs.length ? configuredJobs : [DEFAULT_PKG_JOB];
-  const enabledProfiles = [activeProfile];
+  trace.record("jobs", configuredJobs.length ? "packaging jobs from jobs" : "built-in packaging job", null, enabledJobs, "config");
+  const enabledProfiles = uniqueList([activeProfile, ...pathRuleMatch.enableProfiles]);
+  const { shards, matrixLimit } = applyMatrixLimit({
+    matrix: packagingOutputs.pkgMatrix,
+    limitConfig: activeConfig.matrixLimit,
+    warnings,
+  });
 
   return {
     mode: PACKAGING_MODE,
@@ -750,9 +1747,13 @@ function computePackagingProfilePlan({ cfg, activeConfig, activeProfile, directi
     targetsList: packagingOutputs.pkgTargets.join(" "),
     targetsJson: listToJson(packagingOutputs.pkgTargets),
     matrixJson: JSON.stringify(packagingOutputs.pkgMatrix),
+    matrixByJobJson: JSON.stringify(Object.fromEntries(enabledJobs.map((job) => [job, packagingOutputs.pkgMatrix]))),
+    matrixShardsJson: JSON.stringify(shards),
+    matrixLimit,
+    axesJson: JSON.stringify({}),
     rawMessage: message,
-    warnings,
-    warningsJson: listToJson(warnings),
+    ...describePlanWarnings(warnings),
+    trace: trace.steps,
     profile: activeProfile,
     enabledProfiles,
     enabledProfilesJson: listToJson(enabledProfiles),
@@ -761,70 +1762,101 @@ function computePackagingProfilePlan({ cfg, activeConfig, activeProfile, directi
     pkgTargetsJson: listToJson(packagingOutputs.pkgTargets),
     pkgMatrixJson: JSON.stringify(packagingOutputs.pkgMatrix),
     pkgMatrixRowsJson: JSON.stringify(packagingOutputs.pkgMatrixRows),
+    matchedRules: pathRuleMatch.matchedRules,
+    matchedRulesJson: listToJson(pathRuleMatch.matchedRules),
     debug: {
       directives,
       labels,
       pkgTargets: packagingOutputs.pkgTargets,
       packagingJobs: enabledJobs,
+      changedFiles: pathRuleMatch.changedFiles,
     },
   };
 }
 
-function computeCatalogProfilePlan({ activeConfig, activeProfile, directives, message, labels, warnings }) {
+function computeCatalogProfilePlan({ activeConfig, activeProfile, directives, message, labels, warnings, pathRuleMatch, trace }) {
   const catalogProfileConfig = getCatalogProfileConfig(activeConfig, activeProfile);
   const configuredJobs = Array.isArray(catalogProfileConfig.jobs)
     ? catalogProfileConfig.jobs.filter(Boolean)
     : [];
   const defaultJobs = configuredJobs.length ? configuredJobs : [String(activeProfile).toLowerCase()];
-  const knownJobSet = new Set(lowerUnique(defaultJobs));
-  const defaultOnlyJobsRaw = normalizeList((catalogProfileConfig.defaults?.onlyJobs || []).join(" "))
-    .filter((item) => !item.includes(":"));
-  const defaultSkipJobsRaw = normalizeList((catalogProfileConfig.defaults?.skipJobs || []).join(" "))
-    .filter((item) => !item.includes(":"));
-  const directiveOnlyJobsRaw = normalizeList(directives.only || "").filter((item) => !item.includes(":"));
-  const directiveSkipJobsRaw = normalizeList(directives.skip || "").filter((item) => !item.includes(":"));
-  const { valid: onlyJobsList, unknown: unknownOnlyJobs } = filterKnownTokens(
-    directiveOnlyJobsRaw.length ? directiveOnlyJobsRaw : defaultOnlyJobsRaw,
-    knownJobSet
-  );
-  const { valid: skipJobsList, unknown: unknownSkipJobs } = filterKnownTokens(
-    directiveSkipJobsRaw.length ? directiveSkipJobsRaw : defaultSkipJobsRaw,
-    knownJobSet
-  );
-
-  if (unknownOnlyJobs.length) {
-    warnings.push(`Unknown jobs in only=: ${unknownOnlyJobs.join(", ")}`);
-  }
-  if (unknownSkipJobs.length) {
-    warnings.push(`Unknown jobs in skip=: ${unknownSkipJobs.join(", ")}`);
-  }
-
-  let enabledJobs = defaultJobs.slice();
-  if (onlyJobsList.length) {
-    enabledJobs = enabledJobs.filter((job) => onlyJobsList.includes(String(job).toLowerCase()));
-  }
-  if (skipJobsList.length) {
-    enabledJobs = enabledJobs.filter((job) => !skipJobsList.includes(String(job).toLowerCase()));
-  }
-  if (!enabledJobs.length) {
-    warnings.push("No jobs selected after applying only=/skip= filters");
-  }
+  const directiveOnly = splitJobTargetTokens(directives.only);
+  const directiveSkip = splitJobTargetTokens(directives.skip);
+  trace.record("jobs", configuredJobs.length ? "profile jobs from jobs" : "profile name as the job", null, defaultJobs, "config");
+  const jobSelection = selectJobs({
+    jobs: defaultJobs,
+    knownJobSet: new Set(lowerUnique(defaultJobs)),
+    directiveOnly,
+    directiveSkip,
+    defaultOnlyJobs: catalogProfileConfig.defaults?.onlyJobs || [],
+    defaultSkipJobs: catalogProfileConfig.defaults?.skipJobs || [],
+    pathRuleMatch,
+    warnings,
+    trace,
+  });
+  const { onlyJobsList, skipJobsList, directiveOnlyJobsRaw, skipAllJobs } = jobSelection;
+  let enabledJobs = jobSelection.enabledJobs;
 
+  // only=job@target pairs select their targets unless targets= is given
+  const pairTargets = directiveOnly.pairs.map((pair) => pair.target);
   const selection = selectCatalogTargets({
-    directives,
+    directives: pairTargets.length && !directives.targets
+      ? { ...directives, targets: uniqueList(pairTargets).join(" ") }
+      : directives,
     catalogProfileConfig,
     warnings,
+    ruleTargets: pathRuleMatch.targets,
+    ruleTargetsAdd: pathRuleMatch.partial,
+    ruleSource: describePathRules(pathRuleMatch),
+    trace,
+    targetsSource: trace.directive(pairTargets.length && !directives.targets ? "only" : "targets"),
   });
   if (!selection.workingTargets.length) {
-    warnings.push("No targets selected");
+    pushWarning(warnings, "NO_TARGETS_SELECTED", "No targets selected", { source: "targets=" });
   }
+  // skip=all (e.g. [ci skip]) plans an empty matrix too
+  const workingTargets = skipAllJobs ? [] : selection.workingTargets;
+  if (skipAllJobs && selection.workingTargets.length) {
+    trace.record("targets", "skip=all skipped every target", selection.workingTargets, [], trace.directive("skip"));
+  }
+  const jobCells = buildJobCells(directiveOnly.pairs, directiveSkip.pairs, {
+    expand: (target) => expandTargetTokens([target], {
+      defaultTargets: selection.defaultTargets,
+      allTargets: Object.keys(selection.catalog),
+      catalog: selection.catalog,
+      groups: selection.groups,
+    }).targets,
+    knownTargetSet: getKnownTargetSet([], selection.catalog, selection.groups),
+    warnings,
+  });
 
-  const { matrix, matrixRows } = buildMatrixForTargets(
-    selection.workingTargets,
-    selection.catalog,
-    warnings
-  );
-  const enabledProfiles = [activeProfile];
+  const { matrix, matrixRows, axes } = buildPlanMatrix({
+    targets: workingTargets,
+    catalog: selection.catalog,
+    profileConfig: catalogProfileConfig,
+    directives,
+    warnings,
+  });
+  const jobMatrices = buildMatrixByJob({
+    enabledJobs,
+    matrix,
+    matrixRows,
+    jobTargets: catalogProfileConfig.jobTargets,
+    jobCells,
+    explicitJobs: directiveOnlyJobsRaw.map((job) => job.toLowerCase()),
+    explicitTargets: lowerUnique([
+      ...directiveOnly.targets,
+      ...pairTargets,
+      ...normalizeList(directives.targets || ""),
+      ...normalizeList(directives.include || ""),
+    ]),
+    warnings,
+  });
+  trace.record("jobs", "jobTargets dropped jobs without compatible targets", enabledJobs, jobMatrices.enabledJobs, "jobTargets");
+  enabledJobs = jobMatrices.enabledJobs;
+  const planMatrix = jobCells.active ? matrixForJobs(matrix, enabledJobs, jobMatrices.matrixByJob) : matrix;
+  const { shards, matrixLimit } = applyMatrixLimit({ matrix: planMatrix, limitConfig: activeConfig.matrixLimit, warnings });
+  const enabledProfiles = uniqueList([activeProfile, ...pathRuleMatch.enableProfiles]);
 
   return {
     mode: activeProfile,
@@ -834,12 +1866,16 @@ function computeCatalogProfilePlan({ activeConfig, activeProfile, directives, me
     onlyJobsJson: listToJson(onlyJobsList),
     skipJobs: skipJobsList.join(" "),
     skipJobsJson: listToJson(skipJobsList),
-    targetsList: selection.workingTargets.join(" "),
-    targetsJson: listToJson(selection.workingTargets),
-    matrixJson: JSON.stringify(matrix),
+    targetsList: workingTargets.join(" "),
+    targetsJson: listToJson(workingTargets),
+    matrixJson: JSON.stringify(planMatrix),
+    matrixByJobJson: JSON.stringify(jobMatrices.matrixByJob),
+    matrixShardsJson: JSON.stringify(shards),
+    matrixLimit,
+    axesJson: JSON.stringify(axes),
     rawMessage: message,
-    warnings,
-    warningsJson: listToJson(warnings),
+    ...describePlanWarnings(warnings),
+    trace: trace.steps,
     profile: activeProfile,
     enabledProfiles,
     enabledProfilesJson: listToJson(enabledProfiles),
@@ -848,221 +1884,754 @@ function computeCatalogProfilePlan({ activeConfig, activeProfile, directives, me
     pkgTargetsJson: listToJson([]),
     pkgMatrixJson: JSON.stringify({ target: [] }),
     pkgMatrixRowsJson: listToJson([]),
+    matchedRules: pathRuleMatch.matchedRules,
+    matchedRulesJson: listToJson(pathRuleMatch.matchedRules),
     debug: {
       directives,
       labels,
-      workingTargets: selection.workingTargets,
+      workingTargets,
       catalogMatrixRows: matrixRows,
+      changedFiles: pathRuleMatch.changedFiles,
     },
   };
 }
 
-/* =========================
- * Planner core (pure)
- * ========================= */
-
-function computePlan(opts) {
-  const cfg = opts.config || {};
-  const message = (opts.message || "").trim();
-  const labels = lowerUnique(opts.labels || []);
-  const directives = parseDirectives(message);
-  const warnings = [];
-  const context = opts.context || {};
-  const requestedProfile = String(opts.profile || "").trim();
-
-  const { profile: activeProfile, config: activeConfig } = resolvePlanningConfig(cfg, requestedProfile, warnings);
-
-  if (activeProfile === PACKAGING_PROFILE) {
-    return computePackagingProfilePlan({
-      cfg,
-      activeConfig,
-      activeProfile,
-      directives,
-      context,
-      message,
-      labels,
-      warnings,
-    });
-  }
-
-  if (activeProfile !== DEFAULT_PROFILE && activeConfig?.catalog && typeof activeConfig.catalog === "object" && !Array.isArray(activeConfig.catalog)) {
-    return computeCatalogProfilePlan({
-      activeConfig,
-      activeProfile,
-      directives,
-      message,
-      labels,
-      warnings,
-    });
-  }
-
-  // Global job and target pools
-  const jobsCfg = activeConfig.jobs || DEFAULT_JOBS;
-  const targetsCfg = activeConfig.targets || DEFAULT_TARGETS;
-
-  // Build modes configuration (new unified schema)
-  // Supports both old fullBuild.job and new modes.{name}.jobs format
-  const modes = activeConfig.modes || {};
+// Resolve job and target pools of the ci planning path and its modes.
+// Supports both old fullBuild.job and new modes.{name}.jobs format.
+function resolveCiModeConfig(activeConfig) {
+  // Global job and target pools
+  const jobsCfg = activeConfig.jobs || DEFAULT_JOBS;
+  const targetsCfg = activeConfig.targets || DEFAULT_TARGETS;
+  const modes = activeConfig.modes || {};
 
   // Build full mode job list from various sources (backwards compatible)
+  // each getter returns [value, config key it came from] (the key feeds the plan trace)
   const getFullModeJobs = () => {
     // 1. New schema: modes.full.jobs (array)
     if (modes.full?.jobs && Array.isArray(modes.full.jobs)) {
-      return modes.full.jobs;
+      return [modes.full.jobs, "modes.full.jobs"];
     }
     // 2. Old schema: fullBuild.job (string) or fullBuild.jobs (array)
     if (activeConfig.fullBuild) {
-      if (Array.isArray(activeConfig.fullBuild.jobs)) return activeConfig.fullBuild.jobs;
-      if (activeConfig.fullBuild.job) return [activeConfig.fullBuild.job];
+      if (Array.isArray(activeConfig.fullBuild.jobs)) return [activeConfig.fullBuild.jobs, "fullBuild.jobs"];
+      if (activeConfig.fullBuild.job) return [[activeConfig.fullBuild.job], "fullBuild.job"];
     }
     // 3. Default fallback
-    return ["feelpp-spack"];
+    return [["feelpp-spack"], "built-in full job"];
   };
 
   const getFullModeTargets = () => {
     // 1. New schema: modes.full.targets
     if (modes.full?.targets && Array.isArray(modes.full.targets)) {
-      return modes.full.targets;
+      return [modes.full.targets, "modes.full.targets"];
     }
     // 2. Old schema: fullBuild.targets
     if (activeConfig.fullBuild?.targets && Array.isArray(activeConfig.fullBuild.targets)) {
-      return activeConfig.fullBuild.targets;
+      return [activeConfig.fullBuild.targets, "fullBuild.targets"];
     }
     // 3. Fall back to default targets
-    return null; // will use defaultTargets
+    return [null, ""]; // will use defaultTargets
+  };
+
+  const [fullModeJobs, fullModeJobsSource] = getFullModeJobs();
+  const [fullModeTargets, fullModeTargetsSource] = getFullModeTargets();
+  const [defaultJobs, defaultJobsSource] = modes.components?.jobs ? [modes.components.jobs, "modes.components.jobs"]
+    : activeConfig.defaults?.jobs ? [activeConfig.defaults.jobs, "defaults.jobs"]
+      : [jobsCfg, activeConfig.jobs ? "jobs" : "built-in jobs"];
+  const [defaultTargets, defaultTargetsSource] = modes.components?.targets ? [modes.components.targets, "modes.components.targets"]
+    : activeConfig.defaults?.targets ? [activeConfig.defaults.targets, "defaults.targets"]
+      : [targetsCfg, activeConfig.targets ? "targets" : "built-in targets"];
+
+  // Every key under modes is a mode; components and full always exist.
+  // A mode without its own jobs/targets/onlyJobs/skipJobs uses the components ones.
+  const buildMode = (key, [jobs, jobsSource], [targets, targetsSource], autoDetectDefault) => {
+    const spec = isPlainObject(modes[key]) ? modes[key] : {};
+    const jobDefaults = (field) => Array.isArray(spec[field]) ? [spec[field], `modes.${key}.${field}`]
+      : [activeConfig.defaults?.[field] || [], `defaults.${field}`];
+    const [onlyJobs, onlyJobsSource] = jobDefaults("onlyJobs");
+    const [skipJobs, skipJobsSource] = jobDefaults("skipJobs");
+    return {
+      jobs,
+      targets,
+      onlyJobs,
+      skipJobs,
+      autoDetect: typeof spec.autoDetect === "boolean" ? spec.autoDetect : autoDetectDefault,
+      // false when the mode falls back to the components jobs/targets (trace wording)
+      ownJobs: jobsSource !== defaultJobsSource,
+      ownTargets: targetsSource !== defaultTargetsSource,
+      sources: { jobs: jobsSource, targets: targetsSource, onlyJobs: onlyJobsSource, skipJobs: skipJobsSource },
+    };
+  };
+  const components = [defaultJobs, defaultJobsSource];
+  const componentTargets = [defaultTargets, defaultTargetsSource];
+  // null prototype: mode names come from messages, so "constructor" must not resolve
+  const modeSpecs = Object.create(null);
+  modeSpecs.components = buildMode("components", components, componentTargets, false);
+  modeSpecs.full = buildMode(
+    "full",
+    [fullModeJobs, fullModeJobsSource],
+    fullModeTargets ? [fullModeTargets, fullModeTargetsSource] : componentTargets,
+    true
+  );
+  for (const key of Object.keys(modes)) {
+    const name = key.toLowerCase();
+    if (Object.hasOwn(modeSpecs, name)) continue;
+    const spec = isPlainObject(modes[key]) ? modes[key] : {};
+    modeSpecs[name] = buildMode(
+      key,
+      Array.isArray(spec.jobs) ? [spec.jobs, `modes.${key}.jobs`] : components,
+      Array.isArray(spec.targets) ? [spec.targets, `modes.${key}.targets`] : componentTargets,
+      false
+    );
+  }
+
+  return {
+    jobsCfg,
+    targetsCfg,
+    fullModeJobs,
+    fullModeTargets,
+    // Default jobs and targets (components mode)
+    defaultJobs,
+    defaultTargets,
+    modes: modeSpecs,
   };
+}
 
-  const fullModeJobs = getFullModeJobs();
-  const fullModeTargets = getFullModeTargets();
+function isCatalogProfile(profileName, profileConfig) {
+  return profileName !== DEFAULT_PROFILE &&
+    !!profileConfig?.catalog &&
+    typeof profileConfig.catalog === "object" &&
+    !Array.isArray(profileConfig.catalog);
+}
 
-  // Default jobs and targets (components mode)
-  const defaultJobs = modes.components?.jobs || activeConfig.defaults?.jobs || jobsCfg;
-  const defaultTargets = modes.components?.targets || activeConfig.defaults?.targets || targetsCfg;
-  const fallbackModeCandidate = String(activeConfig.defaults?.mode || "components").toLowerCase();
-  const fallbackMode = SUPPORTED_CI_MODES.has(fallbackModeCandidate) ? fallbackModeCandidate : "components";
-  if (!SUPPORTED_CI_MODES.has(fallbackModeCandidate)) {
-    warnings.push(`Unsupported default mode "${fallbackModeCandidate}", falling back to "${fallbackMode}"`);
+/* =========================
+ * Config validation
+ * =========================
+ * Validates a config against schema/plan-ci.schema.json. Only the keywords
+ * used by that schema are implemented: type, enum, required, properties,
+ * patternProperties, additionalProperties, items, anyOf and local $ref.
+ */
+
+function jsonPointer(segments) {
+  return segments
+    .map((segment) => "/" + String(segment).replace(/~/g, "~0").replace(/\//g, "~1"))
+    .join("");
+}
+
+function jsonTypeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesJsonType(value, type) {
+  const actual = jsonTypeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+function resolveSchemaRef(rootSchema, ref) {
+  if (!String(ref).startsWith("#/")) {
+    throw new Error(`Unsupported schema $ref "${ref}"`);
   }
+  return ref
+    .slice(2)
+    .split("/")
+    .reduce((node, key) => node?.[key.replace(/~1/g, "/").replace(/~0/g, "~")], rootSchema);
+}
 
-  // Mode resolution
-  // Precedence: modeInput > directives.mode > auto-detect from only= > defaults
-  let modeCandidate =
-    (opts.inputs && opts.inputs.modeInput) ||
-    directives.mode ||
-    fallbackMode;
-  modeCandidate = String(modeCandidate).toLowerCase();
-  let mode = modeCandidate;
-  if (!SUPPORTED_CI_MODES.has(modeCandidate)) {
-    warnings.push(`Unsupported mode "${modeCandidate}", falling back to "${fallbackMode}"`);
-    mode = fallbackMode;
+function describeSchemaTypes(rootSchema, schema) {
+  const resolved = schema.$ref ? resolveSchemaRef(rootSchema, schema.$ref) : schema;
+  if (resolved.anyOf) return resolved.anyOf.flatMap((branch) => describeSchemaTypes(rootSchema, branch));
+  if (resolved.enum) return resolved.enum.map((item) => JSON.stringify(item));
+  return [].concat(resolved.type || "any");
+}
+
+function validateAgainstSchema(value, schema, rootSchema, segments, errors) {
+  if (schema.$ref) {
+    validateAgainstSchema(value, resolveSchemaRef(rootSchema, schema.$ref), rootSchema, segments, errors);
+    return;
   }
 
-  // Labels can switch mode (optional)
-  if (labels.includes("ci-mode-full")) mode = "full";
-  if (labels.includes("ci-mode-components")) mode = "components";
+  if (schema.anyOf) {
+    const matched = schema.anyOf.some((branch) => {
+      const branchErrors = [];
+      validateAgainstSchema(value, branch, rootSchema, segments, branchErrors);
+      return !branchErrors.length;
+    });
+    if (!matched) {
+      const expected = uniqueList(describeSchemaTypes(rootSchema, schema));
+      errors.push({ path: jsonPointer(segments), message: `must be ${expected.join(" or ")}` });
+    }
+    return;
+  }
 
-  // Auto-detect full mode: if only= contains a full mode job, switch to full mode
-  const directiveOnlyTokens = normalizeList(directives.only || "");
-  const directiveOnlyJobsRaw = directiveOnlyTokens.filter((item) => !item.includes(":"));
-  const directiveOnlyTargetsRaw = directiveOnlyTokens.filter((item) => item.includes(":"));
-  if (directiveOnlyJobsRaw.length && !directives.mode) {
-    const fullJobsLower = fullModeJobs.map((j) => j.toLowerCase());
-    const componentJobsLower = defaultJobs.map((dj) => dj.toLowerCase());
-    const hasFullJob = directiveOnlyJobsRaw.some((j) => fullJobsLower.includes(j.toLowerCase()));
-    const hasComponentJob = directiveOnlyJobsRaw.some((j) => componentJobsLower.includes(j.toLowerCase()));
-    // If only full jobs requested (no component jobs), auto-switch to full mode
-    if (hasFullJob && !hasComponentJob) {
-      mode = "full";
+  if (schema.type) {
+    const types = [].concat(schema.type);
+    if (!types.some((type) => matchesJsonType(value, type))) {
+      errors.push({
+        path: jsonPointer(segments),
+        message: `must be ${types.join(" or ")}, got ${jsonTypeOf(value)}`,
+      });
+      return;
     }
   }
 
-  // Enabled jobs based on mode
-  let enabledJobs = mode === "full" ? [...fullModeJobs] : [...defaultJobs];
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push({
+      path: jsonPointer(segments),
+      message: `must be one of ${schema.enum.map((item) => JSON.stringify(item)).join(", ")}`,
+    });
+    return;
+  }
 
-  // Build the valid jobs pool for filtering (includes both component and full jobs)
-  const allValidJobs = lowerUnique([...jobsCfg, ...fullModeJobs]);
-  const knownJobSet = new Set(allValidJobs);
-  const knownTargetSet = new Set(lowerUnique([
-    ...DEFAULT_TARGETS,
-    ...targetsCfg,
-    ...defaultTargets,
-    ...(fullModeTargets || []),
-  ]));
-
-  // only / skip jobs (from directives)
-  const defaultOnlyJobsRaw = normalizeList((activeConfig.defaults?.onlyJobs || []).join(" "))
-    .filter((item) => !item.includes(":"));
-  const defaultSkipJobsRaw = normalizeList((activeConfig.defaults?.skipJobs || []).join(" "))
-    .filter((item) => !item.includes(":"));
-  const { valid: onlyJobsList, unknown: unknownOnlyJobs } = filterKnownTokens(
-    directiveOnlyJobsRaw.length ? directiveOnlyJobsRaw : defaultOnlyJobsRaw,
-    knownJobSet
-  );
-  const { valid: skipJobsList, unknown: unknownSkipJobs } = filterKnownTokens(
-    normalizeList(directives.skip || "").filter((item) => !item.includes(":")).length
-      ? normalizeList(directives.skip || "").filter((item) => !item.includes(":"))
-      : defaultSkipJobsRaw,
-    knownJobSet
-  );
-  if (unknownOnlyJobs.length) {
-    warnings.push(`Unknown jobs in only=: ${unknownOnlyJobs.join(", ")}`);
+  if (typeof value === "number" && schema.minimum !== undefined && value < schema.minimum) {
+    errors.push({ path: jsonPointer(segments), message: `must be >= ${schema.minimum}` });
+    return;
   }
-  if (unknownSkipJobs.length) {
-    warnings.push(`Unknown jobs in skip=: ${unknownSkipJobs.join(", ")}`);
+
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, index) => {
+      validateAgainstSchema(item, schema.items, rootSchema, segments.concat(index), errors);
+    });
   }
 
-  if (onlyJobsList.length) {
-    // Filter only= against enabled jobs (which now includes full mode jobs when appropriate)
-    enabledJobs = enabledJobs.filter((j) => onlyJobsList.includes(j.toLowerCase()));
+  if (jsonTypeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (!Object.prototype.hasOwnProperty.call(value, key)) {
+        errors.push({ path: jsonPointer(segments), message: `missing required property "${key}"` });
+      }
+    }
+    for (const [key, item] of Object.entries(value)) {
+      const propertySchema =
+        schema.properties?.[key] ||
+        Object.entries(schema.patternProperties || {}).find(([pattern]) => new RegExp(pattern).test(key))?.[1];
+      if (propertySchema) {
+        validateAgainstSchema(item, propertySchema, rootSchema, segments.concat(key), errors);
+      } else if (schema.additionalProperties === false) {
+        errors.push({ path: jsonPointer(segments.concat(key)), message: "is not allowed" });
+      } else if (schema.additionalProperties && typeof schema.additionalProperties === "object") {
+        validateAgainstSchema(item, schema.additionalProperties, rootSchema, segments.concat(key), errors);
+      }
+    }
   }
-  if (skipJobsList.length) {
-    enabledJobs = enabledJobs.filter((j) => !skipJobsList.includes(j.toLowerCase()));
+}
+
+function validateConfig(config, schema = CONFIG_SCHEMA) {
+  const errors = [];
+  validateAgainstSchema(config, schema, schema, [], errors);
+  return errors;
+}
+
+function formatConfigError(error) {
+  return `${error.path || "/"}: ${error.message}`;
+}
+
+/* =========================
+ * Config linting
+ * =========================
+ * Semantic checks on cross-references the schema cannot express. Profiles
+ * are resolved with the same helpers as computePlan so both agree on which
+ * keys are in effect. Findings: { code, severity, path, message }.
+ */
+
+function findUnknownEntries(list, knownSet) {
+  const out = [];
+  (Array.isArray(list) ? list : []).forEach((item, index) => {
+    const value = String(item).toLowerCase();
+    if (!knownSet.has(value)) out.push({ index, value });
+  });
+  return out;
+}
+
+function lintCiProfile(config, activeConfig, base, report) {
+  const { fullModeJobs, defaultJobs, modes } = resolveCiModeConfig(activeConfig);
+  const fullJobsLower = lowerUnique(fullModeJobs);
+  const modeKeys = Object.keys(isPlainObject(activeConfig.modes) ? activeConfig.modes : {});
+  const modeJobs = Object.values(modes).flatMap((spec) => spec.jobs);
+
+  if (Array.isArray(activeConfig.targets)) {
+    const knownTargets = new Set(lowerUnique(activeConfig.targets));
+    const targetLists = [
+      ["defaults", "targets"],
+      ...modeKeys.map((key) => ["modes", key, "targets"]),
+      ["fullBuild", "targets"],
+    ];
+    for (const segments of targetLists) {
+      const list = segments.reduce((node, key) => node?.[key], activeConfig);
+      for (const { index, value } of findUnknownEntries(list, knownTargets)) {
+        report("warning", "UNKNOWN_DEFAULT_TARGET", base.concat(segments, index),
+          `target "${value}" is not listed in ${jsonPointer(base.concat("targets"))}`);
+      }
+    }
   }
 
-  // Resolve targets - use mode-specific defaults if available
-  let modeDefaultTargets = mode === "full" && fullModeTargets
-    ? fullModeTargets
-    : defaultTargets;
-  const normalizeTargets = (raw, sourceName) => {
-    const { valid, unknown } = filterKnownTokens(raw, knownTargetSet);
-    if (unknown.length) {
-      warnings.push(`Unknown targets in ${sourceName}: ${unknown.join(", ")}`);
+  if (Array.isArray(activeConfig.jobs)) {
+    const knownJobs = new Set(lowerUnique(activeConfig.jobs));
+    for (const segments of [["defaults", "jobs"], ["modes", "components", "jobs"]]) {
+      const list = segments.reduce((node, key) => node?.[key], activeConfig);
+      for (const { index, value } of findUnknownEntries(list, knownJobs)) {
+        report("warning", "UNKNOWN_DEFAULT_JOB", base.concat(segments, index),
+          `job "${value}" is not listed in ${jsonPointer(base.concat("jobs"))}`);
+      }
+    }
+  }
+
+  // only=/skip= defaults are filtered against jobs + mode jobs, unknown ones are dropped
+  const filterableJobs = new Set(lowerUnique([...(activeConfig.jobs || DEFAULT_JOBS), ...modeJobs]));
+  const jobDefaultLists = [["defaults"], ...modeKeys.map((key) => ["modes", key])]
+    .flatMap((segments) => [segments.concat("onlyJobs"), segments.concat("skipJobs")]);
+  for (const segments of jobDefaultLists) {
+    const list = segments.reduce((node, key) => node?.[key], activeConfig);
+    for (const { index, value } of findUnknownEntries(list, filterableJobs)) {
+      report("error", "UNKNOWN_DEFAULT_JOB", base.concat(segments, index),
+        `job "${value}" is neither a component nor a mode job and is ignored`);
+    }
+  }
+
+  const knownJobs = new Set(lowerUnique([...defaultJobs, ...(activeConfig.jobs || []), ...modeJobs]));
+  for (const job of Object.keys(isPlainObject(activeConfig.jobTargets) ? activeConfig.jobTargets : {})) {
+    if (!knownJobs.has(job.toLowerCase())) {
+      report("warning", "UNKNOWN_JOB_TARGETS_JOB", base.concat("jobTargets", job), `job "${job}" is not a components or mode job`);
     }
-    return valid;
+  }
+
+  // full jobs shared with component jobs break only= auto-detection of full mode
+  const componentJobs = new Set(lowerUnique(defaultJobs));
+  const fullJobsPath = activeConfig.modes?.full?.jobs
+    ? ["modes", "full", "jobs"]
+    : (Array.isArray(activeConfig.fullBuild?.jobs) ? ["fullBuild", "jobs"] : ["fullBuild", "job"]);
+  for (const job of modes.full.autoDetect ? fullJobsLower.filter((item) => componentJobs.has(item)) : []) {
+    report("error", "FULL_JOBS_OVERLAP", base.concat(fullJobsPath),
+      `full mode job "${job}" is also a components mode job`);
+  }
+  for (const key of modeKeys) {
+    const name = key.toLowerCase();
+    if (name === "components" || name === "full" || !modes[name].autoDetect) continue;
+    for (const job of lowerUnique(modes[name].jobs).filter((item) => componentJobs.has(item))) {
+      report("error", "MODE_JOBS_OVERLAP", base.concat("modes", key, "jobs"),
+        `${name} mode job "${job}" is also a components mode job, so only= never auto-detects the mode`);
+    }
+  }
+
+  if (activeConfig.matrixCatalogProfile !== undefined) {
+    const catalogWarnings = [];
+    const resolved = resolveMatrixCatalog(config, activeConfig, catalogWarnings);
+    for (const warning of catalogWarnings) {
+      report("error", "MATRIX_CATALOG_PROFILE", base.concat("matrixCatalogProfile"), warning.message);
+    }
+    const catalogTargets = new Set(Object.keys(resolved.catalog));
+    if (catalogTargets.size) {
+      const { targetsCfg, defaultTargets, modes: catalogModes } = resolveCiModeConfig(activeConfig);
+      const planned = lowerUnique([...targetsCfg, ...defaultTargets, ...Object.values(catalogModes).flatMap((spec) => spec.targets)]);
+      for (const target of planned.filter((item) => !catalogTargets.has(item))) {
+        report("error", "TARGET_NOT_IN_MATRIX_CATALOG", base.concat("matrixCatalogProfile"),
+          `target "${target}" has no entry in the "${resolved.profile}" catalog`);
+      }
+    }
+  }
+}
+
+function lintCatalogProfile(profileConfig, base, report) {
+  const catalog = normalizeCatalog(profileConfig.catalog || {});
+  const catalogTargets = new Set(Object.keys(catalog));
+  if (!catalogTargets.size) return;
+
+  for (const [groupName, members] of Object.entries(profileConfig.groups || {})) {
+    for (const { index, value } of findUnknownEntries(members, catalogTargets)) {
+      report("error", "GROUP_MEMBER_NOT_IN_CATALOG", base.concat("groups", groupName, index),
+        `group member "${value}" has no catalog entry`);
+    }
+  }
+  for (const segments of [["defaults", "targets"], ["defaultTargets"]]) {
+    const list = segments.reduce((node, key) => node?.[key], profileConfig);
+    for (const { index, value } of findUnknownEntries(list, catalogTargets)) {
+      report("error", "DEFAULT_TARGET_NOT_IN_CATALOG", base.concat(segments, index),
+        `default target "${value}" has no catalog entry`);
+    }
+  }
+}
+
+function lintAxes(profileConfig, base, report) {
+  if (!isPlainObject(profileConfig?.axes)) return;
+  for (const axis of normalizeAxes(profileConfig.axes)) {
+    const spec = profileConfig.axes[axis.name];
+    if (DIRECTIVE_KEYS.has(axis.name.toLowerCase())) {
+      report("warning", "AXIS_SHADOWS_DIRECTIVE", base.concat("axes", axis.name),
+        `axis "${axis.name}" can only be selected with axis.${axis.name.toLowerCase()}=`);
+    }
+    if (!isPlainObject(spec) || spec.default === undefined) continue;
+    [].concat(spec.default).forEach((value, index) => {
+      if (axis.values.some((item) => sameAxisValue(item, value))) return;
+      const segments = Array.isArray(spec.default) ? base.concat("axes", axis.name, "default", index) : base.concat("axes", axis.name, "default");
+      report("error", "UNKNOWN_AXIS_DEFAULT", segments, `default "${value}" is not one of the axis values`);
+    });
+  }
+}
+
+function lintPathRules(pathRules, base, knownProfiles, knownModes, report) {
+  (Array.isArray(pathRules) ? pathRules : []).forEach((rule, index) => {
+    for (const key of ["enableProfiles", "profiles", "profile"]) {
+      const names = [].concat(rule?.[key] || []);
+      names.forEach((name, nameIndex) => {
+        if (knownProfiles.has(String(name).toLowerCase())) return;
+        const segments = Array.isArray(rule[key]) ? base.concat(index, key, nameIndex) : base.concat(index, key);
+        report("warning", "UNKNOWN_RULE_PROFILE", segments, `profile "${name}" is not defined`);
+      });
+    }
+    if (rule?.mode && !knownModes.has(String(rule.mode).toLowerCase())) {
+      report("error", "UNKNOWN_RULE_MODE", base.concat(index, "mode"), `mode "${rule.mode}" is not defined`);
+    }
+  });
+}
+
+function lintConfig(rawConfig) {
+  const config = resolveProfileExtends(rawConfig, []);
+  const findings = [];
+  const report = (severity, code, segments, message) => {
+    findings.push({ code, severity, path: jsonPointer(segments), message });
   };
-  let workingTargets = [...modeDefaultTargets.map((item) => item.toLowerCase())];
+  if (jsonTypeOf(config) !== "object") return findings;
+
+  const profiles = jsonTypeOf(config.profiles) === "object" ? config.profiles : null;
+  const packagingConfig = getPackagingConfig(config, DEFAULT_PROFILE, {});
+  const knownProfiles = new Set([DEFAULT_PROFILE, PACKAGING_PROFILE]);
+  // root pathRules may select a mode of any ci profile
+  const knownModes = new Set(Object.keys(resolveCiModeConfig(config).modes));
+
+  if (!profiles) {
+    lintCiProfile(config, config, [], report);
+    lintAxes(config, [], report);
+  } else {
+    for (const name of Object.keys(profiles)) knownProfiles.add(String(name).toLowerCase());
+    if (config.defaultProfile && !knownProfiles.has(String(config.defaultProfile).toLowerCase())) {
+      report("error", "UNKNOWN_DEFAULT_PROFILE", ["defaultProfile"], `profile "${config.defaultProfile}" is not defined`);
+    }
+    for (const [name, profileConfig] of Object.entries(profiles)) {
+      const profileName = String(name).toLowerCase();
+      const base = ["profiles", name];
+      const { config: activeConfig } = resolvePlanningConfig(config, profileName, []);
+      const profileModes = new Set(Object.keys(resolveCiModeConfig(activeConfig).modes));
+      for (const mode of profileModes) knownModes.add(mode);
+      if (profileName === PACKAGING_PROFILE) {
+        lintCatalogProfile(getPackagingConfig(config, profileName, activeConfig), base, report);
+      } else if (isCatalogProfile(profileName, activeConfig)) {
+        lintCatalogProfile(getCatalogProfileConfig(activeConfig, profileName), base, report);
+      } else {
+        lintCiProfile(config, activeConfig, base, report);
+      }
+      if (profileName !== PACKAGING_PROFILE && profileConfig?.defaultOnBranches) {
+        report("warning", "DEFAULT_ON_BRANCHES_IGNORED", base.concat("defaultOnBranches"),
+          `defaultOnBranches only applies to the "${PACKAGING_PROFILE}" profile or the root "packaging" section`);
+      }
+      lintAxes(profileConfig, base, report);
+      lintPathRules(profileConfig?.pathRules, base.concat("pathRules"), knownProfiles, profileModes, report);
+    }
+  }
 
-  // allow only= to carry platforms if it contains ':'
-  if (directiveOnlyTargetsRaw.length) {
-    workingTargets = normalizeTargets(directiveOnlyTargetsRaw, "only=");
+  if (jsonTypeOf(config.packaging) === "object") {
+    lintCatalogProfile(config.packaging, ["packaging"], report);
+  }
+  if (config.defaultOnBranches) {
+    report("warning", "DEFAULT_ON_BRANCHES_IGNORED", ["defaultOnBranches"],
+      `defaultOnBranches only applies to the "${PACKAGING_PROFILE}" profile or the root "packaging" section`);
+  }
+  if (packagingConfig.defaultOnBranches.length && !getPackagingDefaultTargets(packagingConfig).length) {
+    const segments = getPackagingProfileConfig(config).defaultOnBranches
+      ? ["profiles", PACKAGING_PROFILE, "defaultOnBranches"]
+      : ["packaging", "defaultOnBranches"];
+    report("error", "DEFAULT_ON_BRANCHES_WITHOUT_PACKAGING", segments,
+      "packaging is enabled by default on these branches, but no packaging default targets are configured");
+  }
+  lintPathRules(config.pathRules, ["pathRules"], knownProfiles, knownModes, report);
+
+  return findings;
+}
+
+function formatLintFinding(finding) {
+  return `${finding.severity} ${finding.code} at ${finding.path || "/"}: ${finding.message}`;
+}
+
+/* =========================
+ * Planner core (pure)
+ * ========================= */
+
+function computePlan(opts) {
+  // warnings of the harvest (denied /ci commands and directives, label mapping) come first
+  const warnings = [...(opts.harvestWarnings || [])];
+  const cfg = resolveProfileExtends(opts.config || {}, warnings);
+  const message = (opts.message || "").trim();
+  const labels = lowerUnique(opts.labels || []);
+  const context = opts.context || {};
+  const requestedProfile = String(opts.profile || "").trim();
+
+  const { profile: activeProfile, config: activeConfig } = resolvePlanningConfig(cfg, requestedProfile, warnings);
+
+  // Labels mapped through config `labels` come first: message directives win
+  // for single-value keys, list keys (only, skip, targets, include, ...) accumulate
+  // (already done while harvesting with directiveSources.strategy "merge")
+  const labelDirectives = opts.mapLabels === false ? [] : mapLabelsToDirectives(activeConfig.labels, labels, warnings);
+  const directives = parseDirectives([...labelDirectives, message].join("\n"), cfg.directiveSources?.trailerPrefixes);
+  const labelDirectiveKeys = new Set(Object.keys(parseDirectives(labelDirectives.join("\n"))));
+  const trace = createPlanTrace((key) => {
+    const harvested = opts.keySources?.[key];
+    const origin = harvested ? [].concat(harvested).join(", ") : (labelDirectiveKeys.has(key) ? "labels" : "message");
+    return `${key}= (${origin})`;
+  });
+  const unknownShorthands = expandBracketDirectives(message).unknown;
+  if (unknownShorthands.length) {
+    pushWarning(
+      warnings,
+      "UNKNOWN_SHORTHAND",
+      `Unknown [ci] shorthands: ${unknownShorthands.join(", ")} (expected key=value, ${Object.keys(BRACKET_SHORTHANDS.ci).join(", ")})`,
+      { source: "[ci]", tokens: unknownShorthands }
+    );
+  }
+  // any key=value line parses (CFLAGS=-O2 in prose too): only keys close to a
+  // directive or axis name are reported, as likely typos
+  const axisNames = normalizeAxes(activeConfig.axes).map((axis) => axis.name.toLowerCase());
+  const knownDirectiveKeys = [...DIRECTIVE_KEYS, ...axisNames, ...axisNames.map((name) => `axis.${name}`)];
+  const unknownDirectiveKeys = Object.keys(directives)
+    .filter((key) => !knownDirectiveKeys.includes(key) && suggestToken(key, knownDirectiveKeys));
+  if (unknownDirectiveKeys.length) {
+    const { text, suggestions } = describeUnknownTokens(unknownDirectiveKeys, knownDirectiveKeys);
+    pushWarning(warnings, "UNKNOWN_DIRECTIVE_KEY", `Unknown directive keys, ignored: ${text}`, {
+      source: unknownDirectiveKeys.map((key) => trace.directive(key)).join(", "),
+      tokens: unknownDirectiveKeys,
+      suggestions,
+    });
+  }
+
+  // Path rules: files touched by the change adjust default targets and profiles
+  const changedFiles = uniqueList(context.changedFiles || []);
+  const pathRulesFallback = String(activeConfig.pathRulesFallback || "all").toLowerCase();
+  if (!PATH_RULE_FALLBACKS.has(pathRulesFallback)) {
+    pushWarning(warnings, "INVALID_CONFIG_VALUE", `Unsupported pathRulesFallback "${pathRulesFallback}", falling back to "all"`, {
+      source: "pathRulesFallback",
+      tokens: [pathRulesFallback],
+    });
+  }
+  const pathRuleMatch = {
+    ...evaluatePathRules(activeConfig.pathRules, changedFiles, activeProfile, pathRulesFallback),
+    changedFiles,
+  };
+
+  if (activeProfile === PACKAGING_PROFILE) {
+    return computePackagingProfilePlan({
+      cfg,
+      activeConfig,
+      activeProfile,
+      directives,
+      context,
+      message,
+      labels,
+      warnings,
+      pathRuleMatch,
+      trace,
+    });
+  }
+
+  if (isCatalogProfile(activeProfile, activeConfig)) {
+    return computeCatalogProfilePlan({
+      activeConfig,
+      activeProfile,
+      directives,
+      message,
+      labels,
+      warnings,
+      pathRuleMatch,
+      trace,
+    });
   }
-  if (directives.targets) {
-    workingTargets = normalizeTargets(normalizeList(directives.targets), "targets=");
+
+  const {
+    jobsCfg,
+    targetsCfg,
+    fullModeJobs,
+    defaultJobs,
+    defaultTargets,
+    modes: modeSpecs,
+  } = resolveCiModeConfig(activeConfig);
+  const fallbackModeCandidate = String(activeConfig.defaults?.mode || "components").toLowerCase();
+  let fallbackMode = Object.hasOwn(modeSpecs, fallbackModeCandidate) ? fallbackModeCandidate : "components";
+  if (!Object.hasOwn(modeSpecs, fallbackModeCandidate)) {
+    pushWarning(warnings, "UNSUPPORTED_MODE", `Unsupported default mode "${fallbackModeCandidate}", falling back to "${fallbackMode}"`, {
+      source: "defaults.mode",
+      tokens: [fallbackModeCandidate],
+    });
   }
-  if (directives.include) {
-    for (const t of normalizeTargets(normalizeList(directives.include), "include=")) {
-      if (!workingTargets.includes(t)) workingTargets.push(t);
+  trace.record("mode", "default mode", null, fallbackMode, activeConfig.defaults?.mode ? "defaults.mode" : "built-in default");
+  // a matched path rule replaces the configured default mode
+  if (pathRuleMatch.mode) {
+    if (Object.hasOwn(modeSpecs, pathRuleMatch.mode)) {
+      trace.record("mode", "path rules set the default mode", fallbackMode, pathRuleMatch.mode, describePathRules(pathRuleMatch));
+      fallbackMode = pathRuleMatch.mode;
+    } else {
+      pushWarning(warnings, "UNSUPPORTED_MODE", `Unsupported mode "${pathRuleMatch.mode}" in pathRules, ignoring it`, {
+        source: "pathRules",
+        tokens: [pathRuleMatch.mode],
+      });
     }
   }
-  if (directives.exclude) {
-    const ex = new Set(normalizeTargets(normalizeList(directives.exclude), "exclude="));
-    workingTargets = workingTargets.filter((t) => !ex.has(t));
+
+  // Mode resolution
+  // Precedence: modeInput > directives.mode > auto-detect from only= > defaults
+  let modeCandidate =
+    (opts.inputs && opts.inputs.modeInput) ||
+    directives.mode ||
+    fallbackMode;
+  modeCandidate = String(modeCandidate).toLowerCase();
+  let mode = modeCandidate;
+  if (!Object.hasOwn(modeSpecs, modeCandidate)) {
+    pushWarning(warnings, "UNSUPPORTED_MODE", `Unsupported mode "${modeCandidate}", falling back to "${fallbackMode}"`, {
+      source: opts.inputs?.modeInput ? "mode-input" : "mode=",
+      tokens: [modeCandidate],
+    });
+    mode = fallbackMode;
   }
-  if (!workingTargets.length) {
-    warnings.push(`No targets selected, falling back to mode defaults: ${modeDefaultTargets.join(", ")}`);
-    workingTargets = [...modeDefaultTargets.map((item) => item.toLowerCase())];
+  trace.record("mode", "mode set", fallbackMode, mode, opts.inputs?.modeInput ? "mode-input" : trace.directive("mode"));
+
+  // Labels can switch mode (optional): ci-mode-<name> for every mode, components last so it wins
+  const labelModes = ["full", ...Object.keys(modeSpecs).filter((name) => name !== "full" && name !== "components"), "components"];
+  for (const name of labelModes) {
+    if (!labels.includes(`ci-mode-${name}`)) continue;
+    trace.record("mode", `label ci-mode-${name} switched mode`, mode, name, `label ci-mode-${name}`);
+    mode = name;
   }
-  if (!enabledJobs.length) {
-    warnings.push("No jobs selected after applying only=/skip= filters");
+
+  // Auto-detect: if only= names jobs of an autoDetect mode (full by default) and
+  // no components job, switch to that mode; the first matching mode wins.
+  // job@target pairs contribute their job and target, and restrict the cells
+  const directiveOnly = splitJobTargetTokens(directives.only);
+  const directiveSkip = splitJobTargetTokens(directives.skip);
+  const directiveOnlyJobsRaw = uniqueList([...directiveOnly.jobs, ...directiveOnly.pairs.map((pair) => pair.job)]);
+  const directiveOnlyTargetsRaw = uniqueList([...directiveOnly.targets, ...directiveOnly.pairs.map((pair) => pair.target)]);
+  const onlyJobsLower = lowerUnique(directiveOnlyJobsRaw);
+  const componentJobsLower = new Set(lowerUnique(defaultJobs));
+  if (onlyJobsLower.length && !directives.mode && !onlyJobsLower.some((job) => componentJobsLower.has(job))) {
+    const detected = Object.keys(modeSpecs).find((name) => {
+      if (name === "components" || !modeSpecs[name].autoDetect) return false;
+      const modeJobsLower = new Set(lowerUnique(modeSpecs[name].jobs));
+      return onlyJobsLower.some((job) => modeJobsLower.has(job));
+    });
+    if (detected) {
+      trace.record("mode", `only=${directiveOnlyJobsRaw.join(",")} auto-switched to ${detected}`, mode, detected, trace.directive("only"));
+      mode = detected;
+    }
   }
+  const modeSpec = modeSpecs[mode];
 
-  const resolvedMatrixCatalog = resolveMatrixCatalog(cfg, activeConfig, warnings);
-  const { matrix, matrixRows } = buildMatrixForTargets(
-    workingTargets,
-    resolvedMatrixCatalog.catalog,
-    warnings
+  // Enabled jobs based on mode
+  let enabledJobs = [...modeSpec.jobs];
+  trace.record(
+    "jobs",
+    `${modeSpec.ownJobs ? `${mode} mode` : "default"} jobs from ${modeSpec.sources.jobs}`,
+    null,
+    enabledJobs,
+    "config"
   );
 
+  // Build the valid jobs pool for filtering (component jobs and the jobs of every mode)
+  const allValidJobs = lowerUnique([...jobsCfg, ...Object.values(modeSpecs).flatMap((spec) => spec.jobs)]);
+  const jobSelection = selectJobs({
+    jobs: enabledJobs,
+    knownJobSet: new Set(allValidJobs),
+    directiveOnly,
+    directiveSkip,
+    defaultOnlyJobs: modeSpec.onlyJobs,
+    defaultSkipJobs: modeSpec.skipJobs,
+    defaultSources: modeSpec.sources,
+    pathRuleMatch,
+    warnings,
+    trace,
+  });
+  const { onlyJobsList, skipJobsList, skipAllJobs } = jobSelection;
+  enabledJobs = jobSelection.enabledJobs;
+
+  // Resolve targets - mode-specific defaults, groups and the configured pool for all
+  const modeDefaultTargets = lowerUnique(modeSpec.targets);
+  const ciGroups = normalizeGroups(activeConfig.groups || {});
+  const resolvedMatrixCatalog = resolveMatrixCatalog(cfg, activeConfig, warnings);
+  const targetPool = lowerUnique([
+    ...targetsCfg,
+    ...defaultTargets,
+    ...Object.values(modeSpecs).flatMap((spec) => spec.targets),
+    ...Object.values(ciGroups).flat(),
+  ]);
+  // only= targets select the targets unless targets= is given
+  const knownTargetSet = getKnownTargetSet([...DEFAULT_TARGETS, ...targetPool], {}, ciGroups);
+  const targetSelection = selectTargets({
+    configDefaultTargets: modeDefaultTargets,
+    defaultsStep: `${modeSpec.ownTargets ? `${mode} mode` : "default"} targets from ${modeSpec.sources.targets}`,
+    allTargets: targetPool,
+    catalog: resolvedMatrixCatalog.catalog,
+    groups: ciGroups,
+    knownTargetSet,
+    ruleTargets: pathRuleMatch.targets,
+    ruleTargetsAdd: pathRuleMatch.partial,
+    ruleSource: describePathRules(pathRuleMatch),
+    base: directives.targets || !directiveOnlyTargetsRaw.length
+      ? targetDirective(directives, "targets", trace)
+      : { raw: directiveOnlyTargetsRaw, source: "only=", origin: trace.directive("only") },
+    include: targetDirective(directives, "include", trace),
+    exclude: targetDirective(directives, "exclude", trace),
+    warnings,
+    trace,
+  });
+  let workingTargets = targetSelection.targets;
+  if (!workingTargets.length && targetSelection.cleared) {
+    pushWarning(warnings, "NO_TARGETS_SELECTED", "No targets selected", { source: "targets=" });
+  } else if (!workingTargets.length) {
+    const fallbackTargets = targetSelection.defaultTargets.length ? targetSelection.defaultTargets : modeDefaultTargets;
+    pushWarning(warnings, "TARGETS_FALLBACK", `No targets selected, falling back to mode defaults: ${fallbackTargets.join(", ")}`, {
+      source: "targets=",
+    });
+    workingTargets = fallbackTargets.slice();
+    trace.record("targets", "no targets left, fell back to the mode defaults", [], workingTargets, "config");
+  }
+  // skip=all (e.g. [ci skip]) plans an empty matrix too
+  if (skipAllJobs && workingTargets.length) {
+    trace.record("targets", "skip=all skipped every target", workingTargets, [], trace.directive("skip"));
+    workingTargets = [];
+  }
+  const jobCells = buildJobCells(directiveOnly.pairs, directiveSkip.pairs, {
+    expand: (target) => expandTargetTokens([target], {
+      defaultTargets: targetSelection.defaultTargets,
+      allTargets: targetPool,
+      catalog: resolvedMatrixCatalog.catalog,
+      groups: ciGroups,
+    }).targets,
+    knownTargetSet,
+    warnings,
+  });
+  const { matrix, matrixRows, axes } = buildPlanMatrix({
+    targets: workingTargets,
+    catalog: resolvedMatrixCatalog.catalog,
+    profileConfig: activeConfig,
+    directives,
+    warnings,
+  });
+  // job × target compatibility (jobTargets) → matrix_by_job_json
+  const jobMatrices = buildMatrixByJob({
+    enabledJobs,
+    matrix,
+    matrixRows,
+    jobTargets: activeConfig.jobTargets,
+    jobCells,
+    explicitJobs: directiveOnlyJobsRaw.map((job) => job.toLowerCase()),
+    explicitTargets: lowerUnique([
+      ...directiveOnlyTargetsRaw,
+      ...normalizeList(directives.targets || ""),
+      ...normalizeList(directives.include || ""),
+    ]),
+    warnings,
+  });
+  trace.record("jobs", "jobTargets dropped jobs without compatible targets", enabledJobs, jobMatrices.enabledJobs, "jobTargets");
+  enabledJobs = jobMatrices.enabledJobs;
+  const planMatrix = jobCells.active ? matrixForJobs(matrix, enabledJobs, jobMatrices.matrixByJob) : matrix;
+  const { shards, matrixLimit } = applyMatrixLimit({ matrix: planMatrix, limitConfig: activeConfig.matrixLimit, warnings });
+
   const basePlan = {
     mode,
     enabledJobs,
@@ -1073,10 +2642,14 @@ function computePlan(opts) {
     skipJobsJson: listToJson(skipJobsList),
     targetsList: workingTargets.join(" "),
     targetsJson: JSON.stringify(workingTargets),
-    matrixJson: JSON.stringify(matrix),
+    matrixJson: JSON.stringify(planMatrix),
+    matrixByJobJson: JSON.stringify(jobMatrices.matrixByJob),
+    matrixShardsJson: JSON.stringify(shards),
+    matrixLimit,
+    axesJson: JSON.stringify(axes),
     rawMessage: message,
-    warnings,
-    warningsJson: listToJson(warnings),
+    ...describePlanWarnings(warnings),
+    trace: trace.steps,
     debug: {
       directives,
       labels,
@@ -1085,6 +2658,7 @@ function computePlan(opts) {
       matrixRows,
       fullModeJobs,
       allValidJobs,
+      changedFiles,
     },
   };
 
@@ -1096,10 +2670,14 @@ function computePlan(opts) {
     directives,
     context,
     warnings,
+    pathRuleMatch,
+    trace,
   });
-  const enabledProfiles = packagingOutputs.pkgEnabled
-    ? uniqueList([activeProfile, PACKAGING_PROFILE])
-    : [activeProfile];
+  const enabledProfiles = uniqueList([
+    activeProfile,
+    ...(packagingOutputs.pkgEnabled ? [PACKAGING_PROFILE] : []),
+    ...pathRuleMatch.enableProfiles.filter((name) => name !== PACKAGING_PROFILE),
+  ]);
 
   return {
     ...basePlan,
@@ -1111,7 +2689,9 @@ function computePlan(opts) {
     pkgTargetsJson: listToJson(packagingOutputs.pkgTargets),
     pkgMatrixJson: JSON.stringify(packagingOutputs.pkgMatrix),
     pkgMatrixRowsJson: JSON.stringify(packagingOutputs.pkgMatrixRows),
-    warningsJson: listToJson(warnings),
+    matchedRules: pathRuleMatch.matchedRules,
+    matchedRulesJson: listToJson(pathRuleMatch.matchedRules),
+    ...describePlanWarnings(warnings),
   };
 }
 
@@ -1126,11 +2706,296 @@ function computePlan(opts) {
  *  5) PR head commit
  *  6) push head commit
  *  7) git log -1
+ * By default the first source with a directive wins; with
+ * directiveSources.strategy "merge" every source is read and each key is
+ * resolved on its own (mergeDirectiveSources).
  */
-async function harvestDirectiveContext({ token, owner, repo, eventPath, sha, explicitInputs, coreImpl = core }) {
-  const payload = readEventPayload(eventPath);
-  const payloadContext = extractContextFromPayload(payload, explicitInputs);
-  if (payloadContext.message) {
+
+const DIRECTIVE_SOURCE_ORDER = [
+  "override",
+  "workflow-dispatch-input",
+  "issue-comment",
+  "labels",
+  "pr-title-body",
+  "push-head-commit-payload",
+  "pr-head-commit",
+  "push-head-commit",
+  "pr-commits",
+  "push-commits",
+  "git-log-range",
+  "git-log",
+];
+const DEFAULT_ACCUMULATE_KEYS = ["include", "exclude", "pkg-include", "pkg-exclude"];
+const DIRECTIVE_STRATEGIES = new Set(["first", "merge"]);
+const DEFAULT_SLASH_COMMAND_PREFIX = "/ci";
+const DEFAULT_SLASH_COMMAND_ASSOCIATIONS = ["OWNER", "MEMBER", "COLLABORATOR"];
+const DEFAULT_TRUST_ASSOCIATIONS = { OWNER: ["*"], MEMBER: ["*"], COLLABORATOR: ["*"] };
+// sources written by the workflow or by users with write/triage access
+const TRUSTED_DIRECTIVE_SOURCES = new Set(["override", "workflow-dispatch-input", "labels"]);
+const COMMIT_POLICIES = new Set(["latest-wins", "union", "first-wins"]);
+const COMMITS_PER_PAGE = 100;
+const MAX_COMMIT_PAGES = 10;
+// the compare API lists at most 300 files; the PR files API pages up to 3000
+const COMPARE_FILES_LIMIT = 300;
+const FILES_PER_PAGE = 100;
+const MAX_FILE_PAGES = 30;
+
+// issue_comment payloads only link the PR: fetch it so the head SHA, title/body,
+// labels and compare range resolve as for pull_request events
+async function resolveIssueCommentPullRequest({ token, owner, repo, payload, coreImpl = core }) {
+  if (!payload?.issue?.pull_request || payload.pull_request) return payload;
+  if (!token || !owner || !repo) {
+    coreImpl.warning(`No token to resolve pull request #${payload.issue.number} of the issue comment; its head SHA is unknown`);
+    return payload;
+  }
+  try {
+    const pullRequest = await httpGetJson(`https://api.github.com/repos/${owner}/${repo}/pulls/${payload.issue.number}`, token);
+    return { ...payload, pull_request: pullRequest };
+  } catch (e) {
+    coreImpl.warning(`Pull request fetch failed: ${e.message}`);
+    return payload;
+  }
+}
+
+async function fetchCommitMessage({ token, owner, repo, sha }) {
+  const commit = await httpGetJson(`https://api.github.com/repos/${owner}/${repo}/commits/${sha}`, token);
+  return (commit?.commit?.message || "").trim();
+}
+
+function readGitLogMessage(cwd) {
+  try {
+    return execSync("git log -1 --pretty=%B", {
+      cwd,
+      stdio: ["ignore", "pipe", "ignore"],
+      encoding: "utf8",
+    }).trim();
+  } catch {
+    return "";
+  }
+}
+
+async function fetchPagedCommitMessages(url, token, pickCommits) {
+  const messages = [];
+  for (let page = 1; page <= MAX_COMMIT_PAGES; page++) {
+    const data = await httpGetJson(`${url}?per_page=${COMMITS_PER_PAGE}&page=${page}`, token);
+    const commits = pickCommits(data);
+    messages.push(...commits.map((item) => (item?.commit?.message || "").trim()));
+    if (commits.length < COMMITS_PER_PAGE) break;
+  }
+  return messages;
+}
+
+// Commit messages of the PR or pushed range, oldest first:
+// PR commits API → compare API (push before...after) → git log base..head
+async function collectCommitMessages({ token, owner, repo, payload, cwd, useGitLog = true, coreImpl = core }) {
+  const prNumber = payload?.pull_request?.number;
+  if (token && owner && repo && prNumber) {
+    try {
+      const messages = await fetchPagedCommitMessages(
+        `https://api.github.com/repos/${owner}/${repo}/pulls/${prNumber}/commits`,
+        token,
+        (data) => (Array.isArray(data) ? data : [])
+      );
+      return { messages, source: "pr-commits" };
+    } catch (e) {
+      coreImpl.warning(`PR commits fetch failed: ${e.message}`);
+    }
+  }
+
+  const { base, head } = getCompareRange(payload);
+  if (!base || !head) {
+    return { messages: [], source: "none" };
+  }
+  if (token && owner && repo && !payload?.pull_request) {
+    try {
+      const messages = await fetchPagedCommitMessages(
+        `https://api.github.com/repos/${owner}/${repo}/compare/${base}...${head}`,
+        token,
+        (data) => (Array.isArray(data?.commits) ? data.commits : [])
+      );
+      return { messages, source: "push-commits" };
+    } catch (e) {
+      coreImpl.warning(`Compare API fetch failed: ${e.message}`);
+    }
+  }
+
+  if (!useGitLog || !/^[0-9a-f]{7,40}$/i.test(base) || !/^[0-9a-f]{7,40}$/i.test(head)) {
+    return { messages: [], source: "none" };
+  }
+  try {
+    const out = execSync(`git log --reverse --format=%B%x1e ${base}..${head}`, {
+      cwd,
+      stdio: ["ignore", "pipe", "ignore"],
+      encoding: "utf8",
+    });
+    return { messages: out.split("\x1e").map((item) => item.trim()).filter(Boolean), source: "git-log-range" };
+  } catch { /* ignore */ }
+
+  return { messages: [], source: "none" };
+}
+
+// Combine the directives of several commits (oldest first) into one message:
+// latest-wins / first-wins pick each key from the newest / oldest commit that
+// sets it; union accumulates list keys and keeps the latest single values.
+function combineCommitDirectives(messages, policy = "latest-wins", trailerPrefixes) {
+  const withDirectives = messages.filter((message) => hasDirective(message, trailerPrefixes));
+  let resolved = {};
+  if (policy === "union") {
+    // each message has its own trailer block: parse them one by one, then accumulate
+    const lines = withDirectives.flatMap((message) =>
+      Object.entries(parseDirectives(message, trailerPrefixes)).map(([key, value]) => `${key}=${value}`));
+    resolved = parseDirectives(lines.join("\n"), trailerPrefixes);
+  } else {
+    const ordered = policy === "first-wins" ? withDirectives : [...withDirectives].reverse();
+    for (const message of ordered) {
+      for (const [key, value] of Object.entries(parseDirectives(message, trailerPrefixes))) {
+        if (!(key in resolved)) resolved[key] = value;
+      }
+    }
+  }
+  return Object.entries(resolved).map(([key, value]) => `${key}=${value}`).join("\n");
+}
+
+function resolveCommitScan(directiveSources, coreImpl) {
+  const scope = String(directiveSources?.commits || "head").toLowerCase();
+  const policy = String(directiveSources?.commitPolicy || "latest-wins").toLowerCase();
+  if (scope !== "head" && scope !== "all") {
+    coreImpl.warning(`Unsupported directiveSources.commits "${scope}", falling back to "head"`);
+  }
+  if (!COMMIT_POLICIES.has(policy)) {
+    coreImpl.warning(`Unsupported directiveSources.commitPolicy "${policy}", falling back to "latest-wins"`);
+  }
+  return { all: scope === "all", policy: COMMIT_POLICIES.has(policy) ? policy : "latest-wins" };
+}
+
+// Resolve every directive key from its highest-precedence source. Keys in
+// `accumulate` join the values of all sources instead. Sources missing from
+// the precedence list are ignored.
+function mergeDirectiveSources(messages, options = {}) {
+  const precedence = Array.isArray(options.precedence) && options.precedence.length
+    ? lowerUnique(options.precedence)
+    : DIRECTIVE_SOURCE_ORDER;
+  const keyPrecedence = Object.fromEntries(Object.entries(isPlainObject(options.keys) ? options.keys : {})
+    .map(([key, order]) => [key.toLowerCase(), lowerUnique([].concat(order))]));
+  const accumulate = new Set(lowerUnique(options.accumulate || DEFAULT_ACCUMULATE_KEYS));
+
+  const parsed = {};
+  for (const [source, text] of Object.entries(messages)) {
+    if (hasDirective(text, options.trailerPrefixes)) parsed[source] = parseDirectives(text, options.trailerPrefixes);
+  }
+  const keys = uniqueList(precedence.flatMap((source) => Object.keys(parsed[source] || {})));
+
+  const lines = [];
+  const keySources = {};
+  for (const key of keys) {
+    const supplying = (keyPrecedence[key] || precedence).filter((source) => parsed[source]?.[key] !== undefined);
+    if (!supplying.length) continue;
+    if (accumulate.has(key)) {
+      lines.push(`${key}=${supplying.map((source) => parsed[source][key]).join(" ")}`);
+      keySources[key] = supplying;
+    } else {
+      lines.push(`${key}=${parsed[supplying[0]][key]}`);
+      keySources[key] = supplying[0];
+    }
+  }
+  return { message: lines.join("\n"), keySources };
+}
+
+async function harvestMergedDirectives({
+  token,
+  owner,
+  repo,
+  eventPath,
+  payload = readEventPayload(eventPath),
+  sha,
+  explicitInputs = {},
+  coreImpl = core,
+  cwd = env("GITHUB_WORKSPACE") || process.cwd(),
+  useGitLog = true,
+  directiveSources = {},
+  labelMap = {},
+  slashCommands = {},
+  trust,
+}) {
+  const trailerPrefixes = directiveSources?.trailerPrefixes;
+  const payloadContext = extractContextFromPayload(payload, explicitInputs, { trailerPrefixes, slashCommands });
+  const warnings = [...payloadContext.warnings];
+  const command = extractSlashCommand(payload, slashCommands);
+  const messages = {
+    override: String(explicitInputs.messageOverride || "").trim(),
+    "workflow-dispatch-input": extractDispatchOverridesFromPayload(payload).messageOverride,
+    "issue-comment": command?.allowed ? command.message : "",
+    labels: mapLabelsToDirectives(labelMap, payloadContext.labels, warnings).join("\n"),
+    "pr-title-body": pullRequestMessage(payload),
+    "push-head-commit-payload": String(payload?.head_commit?.message || "").trim(),
+  };
+
+  const commitScan = resolveCommitScan(directiveSources, coreImpl);
+  if (commitScan.all) {
+    // the commit range replaces the head-only commit sources
+    delete messages["push-head-commit-payload"];
+    const range = await collectCommitMessages({ token, owner, repo, payload, cwd, useGitLog, coreImpl });
+    if (range.source !== "none") {
+      messages[range.source] = combineCommitDirectives(range.messages, commitScan.policy, trailerPrefixes);
+    }
+  } else if (token && owner && repo && payloadContext.prHeadSha) {
+    try {
+      messages["pr-head-commit"] = await fetchCommitMessage({ token, owner, repo, sha: payloadContext.prHeadSha });
+    } catch (e) {
+      coreImpl.warning(`PR head commit fetch failed: ${e.message}`);
+    }
+  } else if (token && owner && repo && sha) {
+    try {
+      messages["push-head-commit"] = await fetchCommitMessage({ token, owner, repo, sha });
+    } catch (e) {
+      coreImpl.warning(`Push head commit fetch failed: ${e.message}`);
+    }
+  }
+  if (useGitLog && !commitScan.all) {
+    messages["git-log"] = readGitLogMessage(cwd);
+  }
+
+  for (const [name, text] of Object.entries(messages)) {
+    const trusted = filterTrustedDirectives(text, name, { trust, payload, trailerPrefixes });
+    pushTrustWarning(warnings, name, trusted);
+    messages[name] = trusted.message;
+  }
+
+  const { message, keySources } = mergeDirectiveSources(messages, directiveSources);
+  return {
+    message,
+    source: message ? "merged" : "none",
+    headSha: payloadContext.prHeadSha || payloadContext.pushHeadSha || sha || null,
+    labels: payloadContext.labels,
+    modeInput: payloadContext.modeInput,
+    keySources,
+    labelsMapped: true,
+    warnings,
+  };
+}
+
+async function harvestFirstDirectiveSource({
+  token,
+  owner,
+  repo,
+  eventPath,
+  payload = readEventPayload(eventPath),
+  sha,
+  explicitInputs,
+  coreImpl = core,
+  cwd = env("GITHUB_WORKSPACE") || process.cwd(),
+  useGitLog = true,
+  directiveSources = {},
+  slashCommands = {},
+  warnings = [],
+}) {
+  const trailerPrefixes = directiveSources?.trailerPrefixes;
+  const payloadContext = extractContextFromPayload(payload, explicitInputs, { trailerPrefixes, slashCommands });
+  warnings.push(...payloadContext.warnings);
+  const commitScan = resolveCommitScan(directiveSources, coreImpl);
+  // with commits "all" the pushed range also covers the payload head commit
+  const headOnlyPayloadMessage = commitScan.all && payloadContext.source === "push-head-commit-payload";
+  if (payloadContext.message && !headOnlyPayloadMessage) {
     return {
       message: payloadContext.message,
       source: payloadContext.source,
@@ -1140,15 +3005,26 @@ async function harvestDirectiveContext({ token, owner, repo, eventPath, sha, exp
     };
   }
 
+  // 0) every commit of the PR or pushed range (directiveSources.commits "all")
+  if (commitScan.all) {
+    const range = await collectCommitMessages({ token, owner, repo, payload, cwd, useGitLog, coreImpl });
+    const msg = combineCommitDirectives(range.messages, commitScan.policy, trailerPrefixes);
+    if (hasDirective(msg, trailerPrefixes)) {
+      return {
+        message: msg,
+        source: range.source,
+        headSha: payloadContext.prHeadSha || payloadContext.pushHeadSha || null,
+        labels: payloadContext.labels,
+        modeInput: payloadContext.modeInput,
+      };
+    }
+  }
+
   // 1) PR head commit by head SHA (most reliable, 1 call)
   if (token && owner && repo && payloadContext.prHeadSha) {
     try {
-      const commit = await httpGetJson(
-        `https://api.github.com/repos/${owner}/${repo}/commits/${payloadContext.prHeadSha}`,
-        token
-      );
-      const msg = (commit?.commit?.message || "").trim();
-      if (hasDirective(msg)) {
+      const msg = await fetchCommitMessage({ token, owner, repo, sha: payloadContext.prHeadSha });
+      if (hasDirective(msg, trailerPrefixes)) {
         return {
           message: msg,
           source: "pr-head-commit",
@@ -1165,12 +3041,8 @@ async function harvestDirectiveContext({ token, owner, repo, eventPath, sha, exp
   // 2) Push head commit (API)
   if (token && owner && repo && sha) {
     try {
-      const commit = await httpGetJson(
-        `https://api.github.com/repos/${owner}/${repo}/commits/${sha}`,
-        token
-      );
-      const msg = (commit?.commit?.message || "").trim();
-      if (hasDirective(msg)) {
+      const msg = await fetchCommitMessage({ token, owner, repo, sha });
+      if (hasDirective(msg, trailerPrefixes)) {
         return {
           message: msg,
           source: "push-head-commit",
@@ -1185,13 +3057,9 @@ async function harvestDirectiveContext({ token, owner, repo, eventPath, sha, exp
   }
 
   // 3) git log -1 (fallback if checkout present)
-  try {
-    const msg = execSync("git log -1 --pretty=%B", {
-      cwd: env("GITHUB_WORKSPACE") || process.cwd(),
-      stdio: ["ignore", "pipe", "ignore"],
-      encoding: "utf8",
-    }).trim();
-    if (hasDirective(msg)) {
+  if (useGitLog) {
+    const msg = readGitLogMessage(cwd);
+    if (hasDirective(msg, trailerPrefixes)) {
       return {
         message: msg,
         source: "git-log",
@@ -1200,7 +3068,7 @@ async function harvestDirectiveContext({ token, owner, repo, eventPath, sha, exp
         modeInput: payloadContext.modeInput,
       };
     }
-  } catch { /* ignore */ }
+  }
 
   // 4) none
   return {
@@ -1212,16 +3080,484 @@ async function harvestDirectiveContext({ token, owner, repo, eventPath, sha, exp
   };
 }
 
+function isForkPullRequest(pullRequest) {
+  const head = pullRequest?.head?.repo?.full_name;
+  const base = pullRequest?.base?.repo?.full_name;
+  return pullRequest?.head?.repo?.fork === true || !!(head && base && head !== base);
+}
+
+// Drop the directive keys the author of a source may not use (trust config).
+// Comments are judged by their commenter; on pull requests every other
+// untrusted source (title/body, commits, git log) by the PR author.
+function filterTrustedDirectives(message, source, { trust, payload, trailerPrefixes } = {}) {
+  const unchanged = { message, denied: [], reason: "" };
+  if (!isPlainObject(trust) || TRUSTED_DIRECTIVE_SOURCES.has(source) || !hasDirective(message, trailerPrefixes)) {
+    return unchanged;
+  }
+  let association = "";
+  if (source === "issue-comment") {
+    association = payload?.comment?.author_association;
+  } else if (payload?.pull_request) {
+    association = payload.pull_request.author_association;
+  } else {
+    return unchanged;
+  }
+  association = String(association || "NONE").toUpperCase();
+
+  const directives = parseDirectives(message, trailerPrefixes);
+  const keys = Object.keys(directives);
+  let allowed = [];
+  let reason = `author association ${association} may not use them (trust.associations)`;
+  const forks = String(trust.forks || "deny").toLowerCase();
+  if (source !== "issue-comment" && isForkPullRequest(payload.pull_request) && forks !== "allow") {
+    reason = "the pull request comes from a fork (trust.forks)";
+  } else {
+    const associations = isPlainObject(trust.associations) ? trust.associations : DEFAULT_TRUST_ASSOCIATIONS;
+    const match = Object.keys(associations).find((name) => name.toUpperCase() === association)
+      || (associations["*"] !== undefined ? "*" : "");
+    allowed = match ? lowerUnique([].concat(associations[match])) : [];
+  }
+  const denied = allowed.includes("*") ? [] : keys.filter((key) => !allowed.includes(key));
+  if (!denied.length) return unchanged;
+  return {
+    message: keys.filter((key) => !denied.includes(key)).map((key) => `${key}=${directives[key]}`).join("\n"),
+    denied,
+    reason,
+  };
+}
+
+function pushTrustWarning(warnings, source, { denied, reason }) {
+  if (!denied.length) return;
+  pushWarning(warnings, "UNTRUSTED_DIRECTIVES", `Ignoring directives ${denied.join(", ")} from ${source}: ${reason}`, {
+    source,
+    tokens: denied,
+  });
+}
+
+async function harvestDirectiveContext(options) {
+  const coreImpl = options.coreImpl || core;
+  const payload = options.payload || readEventPayload(options.eventPath);
+  const strategy = String(options.directiveSources?.strategy || "first").toLowerCase();
+  if (strategy === "merge") {
+    return harvestMergedDirectives({ ...options, payload });
+  }
+  if (!DIRECTIVE_STRATEGIES.has(strategy)) {
+    coreImpl.warning(`Unsupported directiveSources.strategy "${strategy}", falling back to "first"`);
+  }
+  const warnings = [];
+  const context = await harvestFirstDirectiveSource({ ...options, payload, warnings });
+  const trailerPrefixes = options.directiveSources?.trailerPrefixes;
+  const trusted = filterTrustedDirectives(context.message, context.source, { trust: options.trust, payload, trailerPrefixes });
+  pushTrustWarning(warnings, context.source, trusted);
+  const keySources = Object.fromEntries(Object.keys(parseDirectives(trusted.message, trailerPrefixes)).map((key) => [key, context.source]));
+  return { ...context, message: trusted.message, keySources, labelsMapped: false, warnings };
+}
+
+/* =========================
+ * Changed files (for pathRules)
+ * =========================
+ * Precedence:
+ *  1) changed-files input
+ *  2) compare API (PR base...head, push before...after)
+ *  3) git diff --name-only base...head (merge base, if checkout exists)
+ */
+const NULL_SHA = /^0+$/;
+
+function getCompareRange(payload) {
+  if (payload?.pull_request) {
+    return {
+      base: payload.pull_request.base?.sha || "",
+      head: payload.pull_request.head?.sha || "",
+    };
+  }
+  const before = String(payload?.before || "");
+  return {
+    base: NULL_SHA.test(before) ? "" : before,
+    head: payload?.after || payload?.head_commit?.id || "",
+  };
+}
+
+async function collectChangedFiles({ token, owner, repo, payload, changedFilesOverride, cwd, coreImpl = core }) {
+  const explicitFiles = uniqueList(normalizeList(changedFilesOverride));
+  if (explicitFiles.length) {
+    return { files: explicitFiles, source: "override" };
+  }
+
+  const { base, head } = getCompareRange(payload);
+  if (!base || !head) {
+    return { files: [], source: "none" };
+  }
+
+  // a compare API list cut at its limit, used when git diff is not available
+  let truncated = null;
+  if (token && owner && repo) {
+    const pullNumber = payload?.pull_request?.number;
+    try {
+      if (pullNumber) {
+        const files = [];
+        for (let page = 1; page <= MAX_FILE_PAGES; page++) {
+          const data = await httpGetJson(
+            `https://api.github.com/repos/${owner}/${repo}/pulls/${pullNumber}/files?per_page=${FILES_PER_PAGE}&page=${page}`,
+            token
+          );
+          const items = Array.isArray(data) ? data : [];
+          files.push(...items.map((item) => item?.filename).filter(Boolean));
+          if (items.length < FILES_PER_PAGE) break;
+        }
+        return { files: uniqueList(files), source: "pull-files-api" };
+      }
+      const comparison = await httpGetJson(
+        `https://api.github.com/repos/${owner}/${repo}/compare/${base}...${head}`,
+        token
+      );
+      const files = uniqueList((comparison?.files || []).map((item) => item?.filename).filter(Boolean));
+      if (files.length < COMPARE_FILES_LIMIT) return { files, source: "compare-api" };
+      truncated = files;
+      coreImpl.warning(`Compare API lists only the first ${COMPARE_FILES_LIMIT} changed files; trying git diff`);
+    } catch (e) {
+      coreImpl.warning(`${pullNumber ? "Pull request files" : "Compare"} API fetch failed: ${e.message}`);
+    }
+  }
+
+  if (/^[0-9a-f]{7,40}$/i.test(base) && /^[0-9a-f]{7,40}$/i.test(head)) {
+    try {
+      const out = execSync(`git diff --name-only ${base}...${head}`, {
+        cwd,
+        stdio: ["ignore", "pipe", "ignore"],
+        encoding: "utf8",
+      });
+      return { files: uniqueList(normalizeList(out)), source: "git-diff" };
+    } catch { /* ignore */ }
+  }
+
+  if (truncated) {
+    coreImpl.warning(`git diff failed; path rules only see the first ${COMPARE_FILES_LIMIT} changed files`);
+    return { files: truncated, source: "compare-api" };
+  }
+  return { files: [], source: "none" };
+}
+
+/* =========================
+ * Config loading (JSON, JSON with comments, YAML)
+ * ========================= */
+
+function offsetToLineColumn(text, offset) {
+  const before = text.slice(0, offset);
+  const lines = before.split("\n");
+  return { line: lines.length, column: lines[lines.length - 1].length + 1 };
+}
+
+// Scan JSON text outside of strings, calling visit(index) for each character.
+function forEachJsonCodeChar(text, visit) {
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (inString) {
+      if (ch === "\\") i++;
+      else if (ch === "\"") inString = false;
+      continue;
+    }
+    if (ch === "\"") inString = true;
+    else i = visit(i);
+  }
+}
+
+// Blank out // and /* */ comments and trailing commas outside of strings,
+// keeping offsets intact so JSON.parse errors still point at the source.
+function stripJsonComments(text) {
+  const out = text.split("");
+  forEachJsonCodeChar(text, (i) => {
+    if (text[i] !== "/" || (text[i + 1] !== "/" && text[i + 1] !== "*")) return i;
+    const lineComment = text[i + 1] === "/";
+    const close = lineComment ? text.indexOf("\n", i) : text.indexOf("*/", i + 2);
+    const stop = close === -1 ? text.length : (lineComment ? close : close + 2);
+    for (let j = i; j < stop; j++) {
+      if (text[j] !== "\n") out[j] = " ";
+    }
+    return stop - 1;
+  });
+  const code = out.join("");
+  forEachJsonCodeChar(code, (i) => {
+    if (code[i] === "," && /^\s*[}\]]/.test(code.slice(i + 1))) out[i] = " ";
+    return i;
+  });
+  return out.join("");
+}
+
+// { offset, reason } of the first JSON syntax error, null when there is none.
+// JSON.parse only reports a position for some errors (and not on every Node
+// version), so the text is scanned again to locate it.
+function findJsonSyntaxError(text) {
+  let i = 0;
+  const found = () => (i >= text.length ? "end of input" : text[i] === "\"" ? "a string" : `"${text[i]}"`);
+  const fail = (reason) => { throw new SyntaxError(reason); };
+  const skipSpace = () => {
+    while (i < text.length && " \t\n\r".includes(text[i])) i++;
+  };
+  const expect = (ch, what) => {
+    skipSpace();
+    if (text[i] !== ch) fail(`Expected ${what}, found ${found()}`);
+    i++;
+  };
+  const string = () => {
+    i++;
+    while (i < text.length && text[i] !== "\"") {
+      if (text[i] === "\\") {
+        i++;
+        if (text[i] === "u" && /^[0-9a-fA-F]{4}$/.test(text.slice(i + 1, i + 5))) i += 4;
+        else if (!"\"\\/bfnrt".includes(text[i] || "u")) fail(`Bad escape ${found()} in string`);
+      } else if (text[i] < " ") {
+        fail("Bad control character in string");
+      }
+      i++;
+    }
+    if (i >= text.length) fail("Unterminated string");
+    i++;
+  };
+  const value = () => {
+    skipSpace();
+    const ch = text[i];
+    if (ch === "\"") return string();
+    if (ch === "{" || ch === "[") {
+      const close = ch === "{" ? "}" : "]";
+      i++;
+      skipSpace();
+      if (text[i] === close) return i++;
+      for (;;) {
+        if (close === "}") {
+          skipSpace();
+          if (text[i] !== "\"") fail(`Expected a property name, found ${found()}`);
+          string();
+          expect(":", "\":\"");
+        }
+        value();
+        skipSpace();
+        if (text[i] === close) return i++;
+        const comma = i;
+        expect(",", `"," or "${close}"`);
+        skipSpace();
+        if (text[i] === close) {
+          i = comma;
+          fail(`Trailing comma before "${close}"`);
+        }
+      }
+    }
+    const number = /-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?/y;
+    number.lastIndex = i;
+    if (number.test(text)) return (i = number.lastIndex);
+    const word = text.slice(i).match(/^[A-Za-z]+/);
+    if (word && ["true", "false", "null"].includes(word[0])) return (i += word[0].length);
+    fail(word ? `Invalid literal "${word[0]}"` : `Expected a value, found ${found()}`);
+  };
+  try {
+    value();
+    skipSpace();
+    if (i < text.length) fail(`Unexpected ${found()} after the value`);
+    return null;
+  } catch (e) {
+    return { offset: i, reason: e.message };
+  }
+}
+
+function parseJsonConfig(text, filePath) {
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    const error = findJsonSyntaxError(text);
+    if (!error) throw new Error(`${filePath}: ${e.message}`);
+    const { line, column } = offsetToLineColumn(text, error.offset);
+    throw new Error(`${filePath}:${line}:${column}: ${error.reason}`);
+  }
+}
+
+function parseYamlConfig(text, filePath) {
+  try {
+    return YAML.parse(text, { merge: true }) ?? {};
+  } catch (e) {
+    const [start] = e.linePos || [];
+    const reason = String(e.message).split("\n")[0].replace(/\s*at line \d+, column \d+:?$/, "");
+    if (!start) throw new Error(`${filePath}: ${reason}`);
+    throw new Error(`${filePath}:${start.line}:${start.col}: ${reason}`);
+  }
+}
+
+function parseConfigText(text, filePath) {
+  const extension = path.extname(String(filePath)).toLowerCase();
+  if (extension === ".yml" || extension === ".yaml") return parseYamlConfig(text, filePath);
+  if (extension === ".jsonc") return parseJsonConfig(stripJsonComments(text), filePath);
+  return parseJsonConfig(text, filePath);
+}
+
+function readConfigFile(filePath, displayPath = filePath) {
+  return parseConfigText(fs.readFileSync(filePath, "utf8"), displayPath);
+}
+
+// Load a config file and resolve its top-level extends: local paths relative
+// to the workspace, merged in order, with the extending file applied last.
+// `readText` reads a file by absolute path (the workspace by default).
+async function loadConfig(configPath, cwd, chain = [], readText = (filePath) => fs.readFileSync(filePath, "utf8")) {
+  const filePath = path.resolve(cwd, configPath);
+  if (chain.includes(filePath)) {
+    const names = chain.concat(filePath).map((item) => path.relative(cwd, item));
+    throw new Error(`${configPath}: extends cycle ${names.join(" -> ")}`);
+  }
+  const config = parseConfigText(await readText(filePath), configPath);
+  if (!isPlainObject(config) || config.extends === undefined) return config;
+
+  const { extends: parents, ...own } = config;
+  let merged = {};
+  for (const parent of [].concat(parents || [])) {
+    if (/^[a-z][a-z0-9+.-]*:\/\//i.test(String(parent))) {
+      throw new Error(`${configPath}: extends only supports local paths, got "${parent}"`);
+    }
+    const relative = path.relative(cwd, path.resolve(cwd, String(parent)));
+    if (!relative || relative === ".." || relative.startsWith(`..${path.sep}`) || path.isAbsolute(relative)) {
+      throw new Error(`${configPath}: extends must name a file inside the workspace, got "${parent}"`);
+    }
+    merged = mergeConfigValues(merged, await loadConfig(String(parent), cwd, chain.concat(filePath), readText));
+  }
+  return mergeConfigValues(merged, own);
+}
+
+// config-source input: workspace, base-ref (the PR base branch) or ref:<name>
+function parseConfigSource(raw) {
+  const value = String(raw || "workspace").trim();
+  if (value === "workspace" || value === "base-ref") return { kind: value, ref: "" };
+  const match = value.match(/^ref:(.+)$/);
+  if (match) return { kind: "ref", ref: match[1].trim() };
+  throw new Error(`Unsupported config-source "${value}" (expected workspace, base-ref or ref:<name>)`);
+}
+
+// Reads config files at a git ref: contents API first, then `git show` of the
+// fetched remote branch or of the ref itself in the checkout.
+function createRefConfigReader({ ref, token, owner, repo, cwd, coreImpl = core }) {
+  return async (filePath) => {
+    const relPath = path.relative(cwd, filePath).split(path.sep).join("/");
+    if (token && owner && repo) {
+      try {
+        const encoded = relPath.split("/").map(encodeURIComponent).join("/");
+        const data = await httpGetJson(
+          `https://api.github.com/repos/${owner}/${repo}/contents/${encoded}?ref=${encodeURIComponent(ref)}`,
+          token
+        );
+        return Buffer.from(data.content || "", "base64").toString("utf8");
+      } catch (e) {
+        // a missing file is expected while probing the default config paths
+        if (!String(e.message).startsWith("HTTP 404")) {
+          coreImpl.warning(`Contents API fetch of ${relPath} at ${ref} failed: ${e.message}`);
+        }
+      }
+    }
+    for (const revision of [`origin/${ref}`, ref]) {
+      try {
+        return execFileSync("git", ["show", `${revision}:${relPath}`], {
+          cwd,
+          stdio: ["ignore", "pipe", "ignore"],
+          encoding: "utf8",
+        });
+      } catch { /* try the next revision */ }
+    }
+    throw new Error(`${relPath} not found at ${ref}`);
+  };
+}
+
+// JSON pointers whose values differ between two configs: [{ path, base, head }]
+function diffConfigValues(base, head, segments = [], out = []) {
+  if (isPlainObject(base) && isPlainObject(head)) {
+    for (const key of uniqueList([...Object.keys(base), ...Object.keys(head)])) {
+      diffConfigValues(base[key], head[key], segments.concat(key), out);
+    }
+  } else if (JSON.stringify(base) !== JSON.stringify(head)) {
+    out.push({
+      path: jsonPointer(segments) || "/",
+      base: base === undefined ? null : base,
+      head: head === undefined ? null : head,
+    });
+  }
+  return out;
+}
+
+// the default config path also finds .github/plan-ci.{yml,yaml,jsonc}
+function resolveConfigPath(configPath, cwd) {
+  const requested = configPath || DEFAULT_CONFIG_PATH;
+  if (requested !== DEFAULT_CONFIG_PATH) return requested;
+  return DEFAULT_CONFIG_CANDIDATES.find((candidate) => fs.existsSync(path.resolve(cwd, candidate))) || requested;
+}
+
+// Same as resolveConfigPath, probing the files at a ref (`readText` of
+// createRefConfigReader) so the workspace cannot pick the file name.
+// Returns null when the ref has no config.
+async function resolveRefConfigPath(configPath, cwd, readText) {
+  const requested = configPath || DEFAULT_CONFIG_PATH;
+  const candidates = requested === DEFAULT_CONFIG_PATH ? DEFAULT_CONFIG_CANDIDATES : [requested];
+  for (const candidate of candidates) {
+    try {
+      await readText(path.resolve(cwd, candidate));
+      return candidate;
+    } catch { /* try the next candidate */ }
+  }
+  return null;
+}
+
 /* =========================
  * Action entrypoint
  * ========================= */
 
+function configHasPathRules(config) {
+  return [config?.pathRules]
+    .concat(Object.values(config?.profiles || {}).map((profileConfig) => profileConfig?.pathRules))
+    .some((rules) => Array.isArray(rules) && rules.length);
+}
+
+// action outputs (name -> string), shared with the command-line planner
+function buildPlanOutputs({ plan, message, source, headSha, changed, keySources = {} }) {
+  return {
+    mode: plan.mode,
+    only_jobs: plan.onlyJobs,
+    only_jobs_json: plan.onlyJobsJson,
+    skip_jobs: plan.skipJobs,
+    skip_jobs_json: plan.skipJobsJson,
+    targets_json: plan.targetsJson,
+    targets_list: plan.targetsList,
+    matrix_json: plan.matrixJson,
+    matrix_by_job_json: plan.matrixByJobJson,
+    matrix_shards_json: plan.matrixShardsJson,
+    axes_json: plan.axesJson,
+    enabled_jobs: plan.enabledJobs.join(" "),
+    enabled_jobs_json: plan.enabledJobsJson,
+    warnings_json: plan.warningsJson,
+    warning_details_json: plan.warningDetailsJson,
+    profile: plan.profile,
+    enabled_profiles_json: plan.enabledProfilesJson,
+    pkg_enabled: plan.pkgEnabled ? "true" : "false",
+    pkg_targets_json: plan.pkgTargetsJson,
+    pkg_matrix_json: plan.pkgMatrixJson,
+    pkg_matrix_rows_json: plan.pkgMatrixRowsJson,
+    matched_rules_json: plan.matchedRulesJson,
+    plan_trace_json: JSON.stringify(plan.trace || []),
+
+    // debug
+    directive_source: source,
+    directive_sources_json: JSON.stringify(keySources),
+    head_commit_sha: headSha || "",
+    changed_files_json: listToJson(changed.files),
+    changed_files_source: changed.source,
+    raw_message: plan.rawMessage || message || "",
+    raw_directives: JSON.stringify(plan.debug?.directives || {}),
+    targets_debug: JSON.stringify(
+      plan.debug?.workingTargets ||
+      plan.debug?.pkgTargets ||
+      []
+    ),
+  };
+}
+
 async function run(deps = {}) {
   const coreImpl = deps.core || core;
   const envFn = deps.env || env;
   const cwd = deps.cwd || process.cwd();
   try {
-    const configPath = coreImpl.getInput("config-path") || ".github/plan-ci.json";
+    let configPath = resolveConfigPath(coreImpl.getInput("config-path"), cwd);
     const token =
       coreImpl.getInput("github-token") || envFn("GITHUB_TOKEN") || envFn("GH_TOKEN") || "";
     const explicitInputs = {
@@ -1230,33 +3566,132 @@ async function run(deps = {}) {
       messageOverride: coreImpl.getInput("message-override") || "",
       labelsOverride: coreImpl.getInput("labels-override") || "",
     };
+    const changedFilesOverride = coreImpl.getInput("changed-files") || "";
+    const configSource = parseConfigSource(coreImpl.getInput("config-source"));
+    const failOn = parseFailOn(coreImpl.getInput("fail-on"));
 
-    // load config
-    let config = {};
-    try {
-      const t = fs.readFileSync(path.resolve(cwd, configPath), "utf8");
-      config = JSON.parse(t);
-    } catch (e) {
-      coreImpl.warning(`No config at ${configPath}; using defaults. (${e.message})`);
+    const validationLevel = String(coreImpl.getInput("config-validation") || "warn").trim().toLowerCase();
+    if (!CONFIG_VALIDATION_LEVELS.has(validationLevel)) {
+      throw new Error(`Unsupported config-validation "${validationLevel}" (expected off, warn or error)`);
     }
 
     const repoFull = envFn("GITHUB_REPOSITORY");
     const [owner, repo] = repoFull ? repoFull.split("/") : ["", ""];
     const eventPath = envFn("GITHUB_EVENT_PATH");
     const sha = envFn("GITHUB_SHA");
+    const payload = await resolveIssueCommentPullRequest({
+      token,
+      owner,
+      repo,
+      payload: readEventPayload(eventPath),
+      coreImpl,
+    });
+
+    // config-source: the PR base branch or a named ref instead of the workspace
+    let configRef = configSource.ref;
+    if (configSource.kind === "base-ref") {
+      configRef = payload?.pull_request?.base?.ref || "";
+      if (!configRef) {
+        coreImpl.warning(`config-source base-ref needs a pull request event; reading ${configPath} from the workspace`);
+      }
+    }
+
+    // load config (.json, .jsonc, .yml, .yaml)
+    let config = {};
+    if (configRef) {
+      // no defaults fallback: a config missing at the ref would let the PR pick the plan
+      const readRef = createRefConfigReader({ ref: configRef, token, owner, repo, cwd, coreImpl });
+      const refConfigPath = await resolveRefConfigPath(coreImpl.getInput("config-path"), cwd, readRef);
+      if (!refConfigPath) {
+        throw new Error(`No config ${configPath} at ${configRef} (config-source ${configSource.kind === "ref" ? `ref:${configRef}` : "base-ref"})`);
+      }
+      configPath = refConfigPath;
+      try {
+        config = await loadConfig(configPath, cwd, [], readRef);
+      } catch (e) {
+        if (validationLevel === "error") throw e;
+        coreImpl.warning(`Could not load config ${configPath} from ${configRef}: ${e.message}; using defaults.`);
+      }
+    } else if (!fs.existsSync(path.resolve(cwd, configPath))) {
+      coreImpl.warning(`No config at ${configPath}; using defaults.`);
+    } else {
+      try {
+        config = await loadConfig(configPath, cwd);
+      } catch (e) {
+        if (validationLevel === "error") throw e;
+        coreImpl.warning(`Could not parse config ${e.message}; using defaults.`);
+      }
+    }
+
+    // changed files matter when the config declares path rules, and tell
+    // whether a PR edits the config read from a ref
+    const changed = configHasPathRules(config) || (configRef && payload?.pull_request)
+      ? await collectChangedFiles({ token, owner, repo, payload, changedFilesOverride, cwd, coreImpl })
+      : { files: [], source: "none" };
+
+    // a config the PR edits (e.g. under config-source base-ref) is reported, not
+    // used; under pull_request_target the workspace is the base branch too, so
+    // the PR files tell, and the workspace diff only adds the changed keys
+    let configDiff = [];
+    if (configRef && fs.existsSync(path.resolve(cwd, configPath))) {
+      try {
+        const workspaceConfig = await loadConfig(configPath, cwd);
+        configDiff = diffConfigValues(resolveProfileExtends(config, []), resolveProfileExtends(workspaceConfig, []));
+      } catch { /* an unreadable workspace config is not used anyway */ }
+    }
+    coreImpl.setOutput("config_diff_json", JSON.stringify(configDiff));
+    const configFile = path.relative(cwd, path.resolve(cwd, configPath)).split(path.sep).join("/");
+    const configChanged = !!configRef && changed.files.includes(configFile);
+    if (configChanged || configDiff.length) {
+      const changedKeys = configDiff.length ? ` (changed: ${configDiff.map((entry) => entry.path).join(", ")})` : "";
+      const where = configChanged ? "is changed by the pull request" : `in the workspace differs from ${configRef}`;
+      coreImpl.warning(`${configPath} ${where}; planning with the ${configRef} config${changedKeys}`);
+    }
+
+    // config with file and profile extends applied, for debugging composition
+    const resolvedConfig = resolveProfileExtends(config, []);
+    coreImpl.setOutput("resolved_config_json", JSON.stringify(resolvedConfig));
+
+    // validate config structure against schema/plan-ci.schema.json
+    const configErrors = validationLevel === "off" ? [] : validateConfig(resolvedConfig);
+    coreImpl.setOutput("config_errors_json", JSON.stringify(configErrors));
+    if (configErrors.length) {
+      const details = configErrors.map(formatConfigError);
+      if (validationLevel === "error") {
+        throw new Error(`Invalid config ${configPath}:\n${details.join("\n")}`);
+      }
+      for (const detail of details) coreImpl.warning(`Invalid config ${configPath}: ${detail}`);
+    }
+
+    // semantic cross-reference checks (lintConfig)
+    const lintLevel = String(coreImpl.getInput("config-lint") || "off").trim().toLowerCase();
+    if (!CONFIG_VALIDATION_LEVELS.has(lintLevel)) {
+      throw new Error(`Unsupported config-lint "${lintLevel}" (expected off, warn or error)`);
+    }
+    const lintFindings = lintLevel === "off" ? [] : lintConfig(config);
+    coreImpl.setOutput("lint_findings_json", JSON.stringify(lintFindings));
+    for (const finding of lintFindings) {
+      coreImpl.warning(`Config lint ${configPath}: ${formatLintFinding(finding)}`);
+    }
+    const lintErrors = lintFindings.filter((finding) => finding.severity === "error");
+    if (lintLevel === "error" && lintErrors.length) {
+      throw new Error(`Config lint found ${lintErrors.length} error(s) in ${configPath}:\n${lintErrors.map(formatLintFinding).join("\n")}`);
+    }
 
     // harvest directives and labels
-    const payload = readEventPayload(eventPath);
-    const { message, source, headSha, labels, modeInput } = await harvestDirectiveContext({
+    const { message, source, headSha, labels, modeInput, keySources, labelsMapped, warnings } = await harvestDirectiveContext({
       token,
       owner,
       repo,
       eventPath,
+      payload,
       sha,
       explicitInputs,
       coreImpl,
+      cwd,
+      ...resolveHarvestSettings(config, explicitInputs.profile),
     });
-    const refName = envFn("GITHUB_REF_NAME") || getRefName(payload);
+    const refName = payload?.issue?.pull_request ? getRefName(payload) : envFn("GITHUB_REF_NAME") || getRefName(payload);
 
     // compute plan (falls back to config defaults if message has no directives)
     const plan = computePlan({
@@ -1265,38 +3700,20 @@ async function run(deps = {}) {
       labels,
       profile: explicitInputs.profile,
       inputs: { modeInput },
-      context: { refName },
+      context: { refName, changedFiles: changed.files },
+      mapLabels: !labelsMapped,
+      keySources,
+      harvestWarnings: warnings,
     });
+    if (plan.matrixLimit.exceeded && plan.matrixLimit.onExceed === "error") {
+      throw new Error(plan.matrixLimit.message);
+    }
 
     // outputs
-    coreImpl.setOutput("mode", plan.mode);
-    coreImpl.setOutput("only_jobs", plan.onlyJobs);
-    coreImpl.setOutput("only_jobs_json", plan.onlyJobsJson);
-    coreImpl.setOutput("skip_jobs", plan.skipJobs);
-    coreImpl.setOutput("skip_jobs_json", plan.skipJobsJson);
-    coreImpl.setOutput("targets_json", plan.targetsJson);
-    coreImpl.setOutput("targets_list", plan.targetsList);
-    coreImpl.setOutput("matrix_json", plan.matrixJson);
-    coreImpl.setOutput("enabled_jobs", plan.enabledJobs.join(" "));
-    coreImpl.setOutput("enabled_jobs_json", plan.enabledJobsJson);
-    coreImpl.setOutput("warnings_json", plan.warningsJson);
-    coreImpl.setOutput("profile", plan.profile);
-    coreImpl.setOutput("enabled_profiles_json", plan.enabledProfilesJson);
-    coreImpl.setOutput("pkg_enabled", plan.pkgEnabled ? "true" : "false");
-    coreImpl.setOutput("pkg_targets_json", plan.pkgTargetsJson);
-    coreImpl.setOutput("pkg_matrix_json", plan.pkgMatrixJson);
-    coreImpl.setOutput("pkg_matrix_rows_json", plan.pkgMatrixRowsJson);
-
-    // debug
-    coreImpl.setOutput("directive_source", source);
-    coreImpl.setOutput("head_commit_sha", headSha || "");
-    coreImpl.setOutput("raw_message", plan.rawMessage || message || "");
-    coreImpl.setOutput("raw_directives", JSON.stringify(plan.debug?.directives || {}));
-    coreImpl.setOutput("targets_debug", JSON.stringify(
-      plan.debug?.workingTargets ||
-      plan.debug?.pkgTargets ||
-      []
-    ));
+    const outputs = buildPlanOutputs({ plan, message, source, headSha, changed, keySources });
+    for (const [name, value] of Object.entries(outputs)) {
+      coreImpl.setOutput(name, value);
+    }
 
     // summary
     coreImpl.startGroup("planner summary");
@@ -1314,14 +3731,32 @@ async function run(deps = {}) {
     coreImpl.info(`PKG_ENABLED: ${plan.pkgEnabled ? "true" : "false"}`);
     coreImpl.info(`PKG_TARGETS_JSON: ${plan.pkgTargetsJson}`);
     coreImpl.info(`PKG_MATRIX_JSON: ${plan.pkgMatrixJson}`);
+    coreImpl.info(`CHANGED_FILES: ${changed.files.length} (${changed.source})`);
+    coreImpl.info(`MATCHED_RULES: ${plan.matchedRules.join(" ") || "<empty>"}`);
     coreImpl.info(`RAW_MESSAGE: ${plan.rawMessage || "<empty>"}`);
     coreImpl.info(`RAW_DIRECTIVES: ${JSON.stringify(plan.debug?.directives || {})}`);
     coreImpl.info(`LABELS: ${labels.join(" ") || "<empty>"}`);
+    coreImpl.info("PLAN_TRACE:");
+    for (const step of plan.trace || []) coreImpl.info(`  ${formatTraceStep(step)}`);
     if (plan.warnings.length) {
       coreImpl.info(`WARNINGS: ${plan.warnings.join(" | ")}`);
-      for (const warning of plan.warnings) coreImpl.warning(warning);
+      for (const warning of plan.warningDetails) coreImpl.warning(`${warning.code}: ${warning.message}`);
     }
     coreImpl.endGroup();
+
+    // job summary: the trace and the warnings as tables (only where the runner provides the summary file)
+    if (envFn("GITHUB_STEP_SUMMARY") && coreImpl.summary) {
+      coreImpl.summary.addHeading("Plan trace", 3).addTable(buildTraceTable(plan.trace || []));
+      if (plan.warningDetails.length) {
+        coreImpl.summary.addHeading("Plan warnings", 3).addTable(buildWarningTable(plan.warningDetails));
+      }
+      await coreImpl.summary.write();
+    }
+
+    const failing = selectFailingWarnings(plan.warningDetails, failOn);
+    if (failing.length) {
+      throw new Error(`Planner warnings matched fail-on: ${failing.map((warning) => `${warning.code} (${warning.message})`).join("; ")}`);
+    }
   } catch (err) {
     coreImpl.setFailed(err instanceof Error ? err.message : String(err));
   }
@@ -1331,8 +3766,32 @@ if (require.main === module) run();
 
 module.exports = {
   computePlan,
+  validateConfig,
+  formatConfigError,
+  lintConfig,
+  collectChangedFiles,
+  evaluatePathRules,
   extractContextFromPayload,
+  extractSlashCommand,
   extractDispatchOverridesFromPayload,
+  harvestDirectiveContext,
+  mergeDirectiveSources,
+  resolveHarvestSettings,
+  resolveLabelMap,
+  buildPlanOutputs,
+  formatTraceStep,
+  parseFailOn,
+  selectFailingWarnings,
+  readConfigFile,
+  parseConfigSource,
+  diffConfigValues,
+  loadConfig,
+  mergeConfigValues,
+  resolveProfileExtends,
+  resolveConfigPath,
+  parseConfigText,
+  readEventPayload,
+  getRefName,
   extractLabelsFromPayload,
   run,
   parseDirectives,
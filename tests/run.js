@@ -1,7 +1,11 @@
+const { execFileSync } = require("child_process");
+const { EventEmitter } = require("events");
 const fs = require("fs");
+const https = require("https");
 const os = require("os");
 const path = require("path");
-const { computePlan, extractContextFromPayload, run } = require("../index.js");
+const { computePlan, extractContextFromPayload, lintConfig, run, validateConfig } = require("../index.js");
+const cli = require("../bin/ci-matrix-planner.js");
 
 function fail(msg) {
   console.error("TEST FAILED:", msg);
@@ -11,6 +15,9 @@ function fail(msg) {
 const cases = JSON.parse(fs.readFileSync(__dirname + "/cases.json", "utf8"));
 const harvestCases = JSON.parse(fs.readFileSync(__dirname + "/harvest-cases.json", "utf8"));
 const actionCases = JSON.parse(fs.readFileSync(__dirname + "/action-cases.json", "utf8"));
+const validationCases = JSON.parse(fs.readFileSync(__dirname + "/validation-cases.json", "utf8"));
+const lintCases = JSON.parse(fs.readFileSync(__dirname + "/lint-cases.json", "utf8"));
+const cliCases = JSON.parse(fs.readFileSync(__dirname + "/cli-cases.json", "utf8"));
 let failures = 0;
 
 for (const c of cases) {
@@ -48,7 +55,7 @@ for (const c of cases) {
         }
       }
     }
-    if (c.expected.targetsList) {
+    if (c.expected.targetsList !== undefined) {
       if (plan.targetsList !== c.expected.targetsList) {
         throw new Error(`targetsList mismatch: got "${plan.targetsList}" want "${c.expected.targetsList}"`);
       }
@@ -89,6 +96,63 @@ for (const c of cases) {
         throw new Error(`pkgMatrixIncludeLen mismatch: got ${include.length} want ${c.expected.pkgMatrixIncludeLen}`);
       }
     }
+    if (c.expected.matchedRules) {
+      const got = JSON.parse(plan.matchedRulesJson);
+      const want = c.expected.matchedRules;
+      if (JSON.stringify(got) !== JSON.stringify(want)) {
+        throw new Error(`matchedRules mismatch: got ${JSON.stringify(got)} want ${JSON.stringify(want)}`);
+      }
+    }
+    if (c.expected.matrix) {
+      const got = JSON.parse(plan.matrixJson);
+      const want = c.expected.matrix;
+      if (JSON.stringify(got) !== JSON.stringify(want)) {
+        throw new Error(`matrix mismatch: got ${JSON.stringify(got)} want ${JSON.stringify(want)}`);
+      }
+    }
+    if (c.expected.matrixInclude) {
+      const got = JSON.parse(plan.matrixJson).include || [];
+      const want = c.expected.matrixInclude;
+      if (JSON.stringify(got) !== JSON.stringify(want)) {
+        throw new Error(`matrix include mismatch: got ${JSON.stringify(got)} want ${JSON.stringify(want)}`);
+      }
+    }
+    if (c.expected.matrixByJob) {
+      const got = JSON.parse(plan.matrixByJobJson);
+      const want = c.expected.matrixByJob;
+      if (JSON.stringify(got) !== JSON.stringify(want)) {
+        throw new Error(`matrixByJob mismatch: got ${JSON.stringify(got)} want ${JSON.stringify(want)}`);
+      }
+    }
+    if (c.expected.matrixShards) {
+      const got = JSON.parse(plan.matrixShardsJson);
+      const want = c.expected.matrixShards;
+      if (JSON.stringify(got) !== JSON.stringify(want)) {
+        throw new Error(`matrixShards mismatch: got ${JSON.stringify(got)} want ${JSON.stringify(want)}`);
+      }
+    }
+    if (c.expected.warningCount !== undefined && plan.warnings.length !== c.expected.warningCount) {
+      throw new Error(`warning count mismatch: got ${JSON.stringify(plan.warnings)} want ${c.expected.warningCount}`);
+    }
+    for (const text of c.expected.warningsContain || []) {
+      if (!plan.warnings.some((warning) => warning.includes(text))) {
+        throw new Error(`missing warning containing ${JSON.stringify(text)}: got ${JSON.stringify(plan.warnings)}`);
+      }
+    }
+    if (c.expected.warningDetails) {
+      const got = JSON.parse(plan.warningDetailsJson);
+      const want = c.expected.warningDetails;
+      if (JSON.stringify(got) !== JSON.stringify(want)) {
+        throw new Error(`warningDetails mismatch: got ${JSON.stringify(got)} want ${JSON.stringify(want)}`);
+      }
+    }
+    if (c.expected.traceSteps) {
+      const got = plan.trace.map((step) => `${step.subject}: ${step.step} (${step.source})`);
+      const want = c.expected.traceSteps;
+      if (JSON.stringify(got) !== JSON.stringify(want)) {
+        throw new Error(`trace mismatch: got ${JSON.stringify(got)} want ${JSON.stringify(want)}`);
+      }
+    }
     console.log(`OK: ${c.name}`);
   } catch (e) {
     console.error(`FAIL: ${c.name} -> ${e.message}`);
@@ -97,7 +161,7 @@ for (const c of cases) {
 }
 
 for (const c of harvestCases) {
-  const ctx = extractContextFromPayload(c.payload || {}, c.explicitInputs || {});
+  const ctx = extractContextFromPayload(c.payload || {}, c.explicitInputs || {}, c.options || {});
 
   try {
     if (Object.prototype.hasOwnProperty.call(c.expected, "source") && ctx.source !== c.expected.source) {
@@ -109,6 +173,11 @@ for (const c of harvestCases) {
     if (Object.prototype.hasOwnProperty.call(c.expected, "modeInput") && ctx.modeInput !== c.expected.modeInput) {
       throw new Error(`modeInput mismatch: got ${ctx.modeInput}, want ${c.expected.modeInput}`);
     }
+    for (const text of c.expected.warningsContain || []) {
+      if (!ctx.warnings.some((warning) => warning.message.includes(text))) {
+        throw new Error(`no warning contains ${JSON.stringify(text)}: ${JSON.stringify(ctx.warnings)}`);
+      }
+    }
     if (c.expected.labels) {
       const got = ctx.labels.join(",");
       const want = c.expected.labels.join(",");
@@ -123,16 +192,126 @@ for (const c of harvestCases) {
   }
 }
 
+for (const c of validationCases) {
+  const errors = validateConfig(c.config);
+
+  try {
+    const got = JSON.stringify(errors);
+    const want = JSON.stringify(c.expected.errors);
+    if (got !== want) {
+      throw new Error(`errors mismatch: got ${got} want ${want}`);
+    }
+    console.log(`OK: ${c.name}`);
+  } catch (e) {
+    console.error(`FAIL: ${c.name} -> ${e.message}`);
+    failures++;
+  }
+}
+
+for (const c of lintCases) {
+  const findings = lintConfig(c.config);
+
+  try {
+    const got = findings.map((f) => `${f.severity} ${f.code} ${f.path}`);
+    const want = c.expected.findings;
+    if (JSON.stringify(got) !== JSON.stringify(want)) {
+      throw new Error(`findings mismatch: got ${JSON.stringify(got)} want ${JSON.stringify(want)}`);
+    }
+    for (const f of findings) {
+      if (!f.message) throw new Error(`finding ${f.code} has no message`);
+    }
+    console.log(`OK: ${c.name}`);
+  } catch (e) {
+    console.error(`FAIL: ${c.name} -> ${e.message}`);
+    failures++;
+  }
+}
+
+// "api" fixtures: { "/repos/...": response } by URL path and query ("{base}" and
+// "{head}" as in the payload); { "generateFiles": { "pattern", "count" } } stands
+// for count { filename } entries with {n} numbered from 1. Other URLs get a 404.
+function expandApiFixture(value) {
+  if (Array.isArray(value)) return value.map(expandApiFixture);
+  if (!value || typeof value !== "object") return value;
+  if (value.generateFiles) {
+    const { pattern, count } = value.generateFiles;
+    return Array.from({ length: count }, (_, index) => ({ filename: pattern.replace("{n}", String(index + 1)) }));
+  }
+  return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, expandApiFixture(item)]));
+}
+
+function fakeHttpsRequest(routes, requested) {
+  return (url, options, callback) => {
+    const request = new EventEmitter();
+    request.end = () => {
+      const route = String(url).replace(/^https:\/\/api\.github\.com/, "");
+      requested.push(route);
+      const response = new EventEmitter();
+      const found = Object.prototype.hasOwnProperty.call(routes, route);
+      response.statusCode = found ? 200 : 404;
+      callback(response);
+      response.emit("data", found ? JSON.stringify(expandApiFixture(routes[route])) : "{\"message\":\"Not Found\"}");
+      response.emit("end");
+    };
+    return request;
+  };
+}
+
 async function runActionCase(c) {
   const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "ci-matrix-planner-"));
   try {
-    const configPath = path.join(tmpDir, "plan-ci.json");
+    const configPath = path.join(tmpDir, c.configFile || "plan-ci.json");
     const eventPath = path.join(tmpDir, "event.json");
-    fs.writeFileSync(configPath, JSON.stringify(c.config || {}, null, 2));
-    fs.writeFileSync(eventPath, JSON.stringify(c.payload || {}, null, 2));
+    fs.mkdirSync(path.dirname(configPath), { recursive: true });
+    fs.writeFileSync(configPath, c.configText !== undefined ? c.configText : JSON.stringify(c.config || {}, null, 2));
+    let payloadText = JSON.stringify(c.payload || {}, null, 2);
+    let apiText = JSON.stringify(c.api || {});
+    if (c.commits || c.baseFiles) {
+      // a local history: a base commit (with baseFiles, on branch "base"), then
+      // one commit per message (the first one adds headFiles); "{base}" and
+      // "{head}" in the payload and api become their SHAs
+      const git = (...args) => execFileSync("git", ["-c", "user.name=test", "-c", "user.email=test@example.com", ...args], {
+        cwd: tmpDir,
+        stdio: ["ignore", "pipe", "ignore"],
+        encoding: "utf8",
+      }).trim();
+      git("init", "-q");
+      for (const [name, content] of Object.entries(c.baseFiles || {})) {
+        fs.mkdirSync(path.dirname(path.join(tmpDir, name)), { recursive: true });
+        fs.writeFileSync(path.join(tmpDir, name), typeof content === "string" ? content : JSON.stringify(content, null, 2));
+        git("add", name);
+      }
+      git("commit", "-q", "--allow-empty", "-m", "base");
+      git("branch", "base");
+      fs.writeFileSync(configPath, c.configText !== undefined ? c.configText : JSON.stringify(c.config || {}, null, 2));
+      const base = git("rev-parse", "HEAD");
+      for (const [name, content] of Object.entries(c.headFiles || {})) {
+        fs.mkdirSync(path.dirname(path.join(tmpDir, name)), { recursive: true });
+        fs.writeFileSync(path.join(tmpDir, name), content);
+        git("add", name);
+      }
+      for (const message of c.commits || []) git("commit", "-q", "--allow-empty", "-m", message);
+      const head = git("rev-parse", "HEAD");
+      payloadText = payloadText.replace(/\{base\}/g, base).replace(/\{head\}/g, head);
+      apiText = apiText.replace(/\{base\}/g, base).replace(/\{head\}/g, head);
+    }
+    fs.writeFileSync(eventPath, payloadText);
+    for (const [name, content] of Object.entries(c.files || {})) {
+      const filePath = path.join(tmpDir, name);
+      fs.mkdirSync(path.dirname(filePath), { recursive: true });
+      fs.writeFileSync(filePath, typeof content === "string" ? content : JSON.stringify(content, null, 2));
+    }
 
     const outputs = {};
     const warnings = [];
+    // core.summary stand-in: records the heading and table rows written
+    const summary = {
+      written: [],
+      pending: [],
+      addHeading(text) { this.pending.push({ heading: text }); return this; },
+      addTable(rows) { this.pending.push({ table: rows.map((row) => row.map((cell) => (typeof cell === "string" ? cell : cell.data))) }); return this; },
+      async write() { this.written.push(...this.pending); this.pending = []; return this; },
+    };
     let failedMessage = "";
     const inputs = Object.assign({ "config-path": "plan-ci.json" }, c.inputs || {});
     const envMap = Object.assign({
@@ -143,6 +322,9 @@ async function runActionCase(c) {
       GITHUB_WORKSPACE: tmpDir,
     }, c.env || {});
 
+    const requested = [];
+    const httpsRequest = https.request;
+    if (c.api) https.request = fakeHttpsRequest(JSON.parse(apiText), requested);
     await run({
       cwd: tmpDir,
       env: (key, fallback = "") => (Object.prototype.hasOwnProperty.call(envMap, key) ? envMap[key] : fallback),
@@ -162,10 +344,17 @@ async function runActionCase(c) {
         setFailed(message) {
           failedMessage = String(message);
         },
+        summary,
       },
+    }).finally(() => {
+      https.request = httpsRequest;
     });
 
-    if (failedMessage) {
+    if (c.expected.failedMessageContains !== undefined) {
+      if (!failedMessage.includes(c.expected.failedMessageContains)) {
+        throw new Error(`setFailed message mismatch: got ${JSON.stringify(failedMessage)} want it to contain ${JSON.stringify(c.expected.failedMessageContains)}`);
+      }
+    } else if (failedMessage) {
       throw new Error(`setFailed called: ${failedMessage}`);
     }
 
@@ -199,6 +388,84 @@ async function runActionCase(c) {
         throw new Error(`matrixIncludeLen mismatch: got ${include.length} want ${c.expected.matrixIncludeLen}`);
       }
     }
+    if (c.expected.summary) {
+      const got = summary.written;
+      const want = c.expected.summary;
+      if (JSON.stringify(got) !== JSON.stringify(want)) {
+        throw new Error(`step summary mismatch: got ${JSON.stringify(got)} want ${JSON.stringify(want)}`);
+      }
+    }
+    if (c.expected.pkgEnabled !== undefined && outputs.pkg_enabled !== String(c.expected.pkgEnabled)) {
+      throw new Error(`pkg_enabled mismatch: got ${outputs.pkg_enabled} want ${c.expected.pkgEnabled}`);
+    }
+    if (c.expected.changedFilesSource && outputs.changed_files_source !== c.expected.changedFilesSource) {
+      throw new Error(`changed_files_source mismatch: got ${outputs.changed_files_source} want ${c.expected.changedFilesSource}`);
+    }
+    if (c.expected.changedFilesCount !== undefined) {
+      const got = JSON.parse(outputs.changed_files_json || "[]").length;
+      if (got !== c.expected.changedFilesCount) {
+        throw new Error(`changed file count mismatch: got ${got} want ${c.expected.changedFilesCount}`);
+      }
+    }
+    if (c.expected.changedFilesJson) {
+      const got = JSON.parse(outputs.changed_files_json || "[]");
+      const want = c.expected.changedFilesJson;
+      if (JSON.stringify(got) !== JSON.stringify(want)) {
+        throw new Error(`changed_files_json mismatch: got ${JSON.stringify(got)} want ${JSON.stringify(want)}`);
+      }
+    }
+    for (const route of c.expected.requested || []) {
+      if (!requested.includes(route)) {
+        throw new Error(`API route ${route} was not requested: ${JSON.stringify(requested)}`);
+      }
+    }
+    if (c.expected.matchedRulesJson) {
+      const got = JSON.parse(outputs.matched_rules_json || "[]");
+      const want = c.expected.matchedRulesJson;
+      if (JSON.stringify(got) !== JSON.stringify(want)) {
+        throw new Error(`matched_rules_json mismatch: got ${JSON.stringify(got)} want ${JSON.stringify(want)}`);
+      }
+    }
+    if (c.expected.directiveSources) {
+      const got = JSON.parse(outputs.directive_sources_json || "{}");
+      const want = c.expected.directiveSources;
+      if (JSON.stringify(got) !== JSON.stringify(want)) {
+        throw new Error(`directive_sources_json mismatch: got ${JSON.stringify(got)} want ${JSON.stringify(want)}`);
+      }
+    }
+    if (c.expected.resolvedConfig) {
+      const got = JSON.parse(outputs.resolved_config_json || "{}");
+      const want = c.expected.resolvedConfig;
+      if (JSON.stringify(got) !== JSON.stringify(want)) {
+        throw new Error(`resolved_config_json mismatch: got ${JSON.stringify(got)} want ${JSON.stringify(want)}`);
+      }
+    }
+    if (c.expected.configErrorsJson) {
+      const got = JSON.parse(outputs.config_errors_json || "[]");
+      const want = c.expected.configErrorsJson;
+      if (JSON.stringify(got) !== JSON.stringify(want)) {
+        throw new Error(`config_errors_json mismatch: got ${JSON.stringify(got)} want ${JSON.stringify(want)}`);
+      }
+    }
+    if (c.expected.lintFindingCodes) {
+      const got = JSON.parse(outputs.lint_findings_json || "[]").map((f) => f.code);
+      const want = c.expected.lintFindingCodes;
+      if (JSON.stringify(got) !== JSON.stringify(want)) {
+        throw new Error(`lint_findings_json mismatch: got ${JSON.stringify(got)} want ${JSON.stringify(want)}`);
+      }
+    }
+    if (c.expected.warningCodes) {
+      const got = JSON.parse(outputs.warning_details_json || "[]").map((w) => w.code);
+      const want = c.expected.warningCodes;
+      if (JSON.stringify(got) !== JSON.stringify(want)) {
+        throw new Error(`warning_details_json mismatch: got ${JSON.stringify(got)} want ${JSON.stringify(want)}`);
+      }
+    }
+    for (const text of c.expected.warningsContain || []) {
+      if (!warnings.some((warning) => warning.includes(text))) {
+        throw new Error(`no warning contains ${JSON.stringify(text)}: ${JSON.stringify(warnings)}`);
+      }
+    }
     if (c.expected.warningCount !== undefined && warnings.length !== c.expected.warningCount) {
       throw new Error(`warning count mismatch: got ${warnings.length} want ${c.expected.warningCount}`);
     }
@@ -211,10 +478,56 @@ async function runActionCase(c) {
   }
 }
 
+async function runCliCase(c) {
+  const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "ci-matrix-planner-cli-"));
+  try {
+    const configPath = path.join(tmpDir, "plan-ci.json");
+    const eventPath = path.join(tmpDir, "event.json");
+    fs.writeFileSync(configPath, JSON.stringify(c.config || {}, null, 2));
+    fs.writeFileSync(eventPath, JSON.stringify(c.payload || {}, null, 2));
+    const args = (c.args || []).map((arg) => arg.replace("{config}", configPath).replace("{event}", eventPath));
+
+    let stdout = "";
+    let stderr = "";
+    const exitCode = await cli.main(args, {
+      cwd: tmpDir,
+      stdout: { write: (text) => { stdout += text; } },
+      stderr: { write: (text) => { stderr += text; } },
+    });
+
+    if (exitCode !== c.expected.exitCode) {
+      throw new Error(`exit code mismatch: got ${exitCode} want ${c.expected.exitCode} (stderr: ${stderr})`);
+    }
+    if (c.expected.json) {
+      const got = JSON.parse(stdout);
+      for (const [key, want] of Object.entries(c.expected.json)) {
+        if (JSON.stringify(got[key]) !== JSON.stringify(want)) {
+          throw new Error(`${key} mismatch: got ${JSON.stringify(got[key])} want ${JSON.stringify(want)}`);
+        }
+      }
+    }
+    for (const text of c.expected.stdoutContains || []) {
+      if (!stdout.includes(text)) throw new Error(`stdout does not contain ${JSON.stringify(text)}: ${stdout}`);
+    }
+    for (const text of c.expected.stderrContains || []) {
+      if (!stderr.includes(text)) throw new Error(`stderr does not contain ${JSON.stringify(text)}: ${stderr}`);
+    }
+    console.log(`OK: ${c.name}`);
+  } catch (e) {
+    console.error(`FAIL: ${c.name} -> ${e.message}`);
+    failures++;
+  } finally {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  }
+}
+
 (async () => {
   for (const c of actionCases) {
     await runActionCase(c);
   }
+  for (const c of cliCases) {
+    await runCliCase(c);
+  }
 
   if (failures) fail(`${failures} failing test(s)`);
   console.log("All tests passed.");